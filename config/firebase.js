@@ -47,9 +47,15 @@ const COLLECTIONS = {
   USERS: 'users',
   LICENSES: 'licenses',
   PAYMENTS: 'payments',
-  DOWNLOAD_HISTORY: 'download_history'
+  DOWNLOAD_HISTORY: 'download_history',
+  JOBS: 'jobs',
+  USAGE: 'usage'
 };
 
+// Byte sizes used by license limits
+const MB = 1024 * 1024;
+const GB = 1024 * MB;
+
 // License types and pricing
 const LICENSE_TYPES = {
   FREE: {
@@ -57,6 +63,16 @@ const LICENSE_TYPES = {
     price: 0,
     downloads_per_day: 5,
     max_quality: '720p',
+    concurrent_jobs: 1,
+    queue_priority: 0, // higher priority jobs leave the queue first
+    batch_downloads: false,
+    max_playlist_items: 5, // most entries queued from one playlist, channel or multi-post URL
+    audio_formats: ['mp3', 'm4a'], // audio formats for URL downloads (bestaudio keeps the original stream)
+    max_audio_bitrate: 192, // kbps, VBR levels count as their approximate bitrate
+    monthly_bandwidth: 5 * GB, // bytes per calendar month, -1 means unlimited
+    max_file_size: 500 * MB, // largest single download
+    max_upload_size: 100 * MB, // largest file accepted by /api/convert
+    storage_limit: 1 * GB, // total size of finished files kept on the server
     features: ['Basic downloads', '720p quality', '5 downloads/day']
   },
   BASIC: {
@@ -64,6 +80,16 @@ const LICENSE_TYPES = {
     price: 9.99,
     downloads_per_day: 50,
     max_quality: '1080p',
+    concurrent_jobs: 2,
+    queue_priority: 1,
+    batch_downloads: false,
+    max_playlist_items: 25,
+    audio_formats: ['mp3', 'm4a', 'opus', 'ogg'],
+    max_audio_bitrate: 320,
+    monthly_bandwidth: 50 * GB,
+    max_file_size: 2 * GB,
+    max_upload_size: 500 * MB,
+    storage_limit: 10 * GB,
     features: ['HD downloads', '1080p quality', '50 downloads/day', 'No ads']
   },
   PRO: {
@@ -71,6 +97,16 @@ const LICENSE_TYPES = {
     price: 19.99,
     downloads_per_day: 200,
     max_quality: 'original',
+    concurrent_jobs: 3,
+    queue_priority: 2,
+    batch_downloads: true,
+    max_playlist_items: 100,
+    audio_formats: ['mp3', 'm4a', 'opus', 'ogg', 'flac', 'wav', 'bestaudio'],
+    max_audio_bitrate: 320,
+    monthly_bandwidth: 250 * GB,
+    max_file_size: 5 * GB,
+    max_upload_size: 2 * GB,
+    storage_limit: 50 * GB,
     features: ['Unlimited quality', '200 downloads/day', 'Batch downloads', 'Priority support']
   },
   UNLIMITED: {
@@ -78,6 +114,16 @@ const LICENSE_TYPES = {
     price: 39.99,
     downloads_per_day: -1, // -1 means unlimited
     max_quality: 'original',
+    concurrent_jobs: 5,
+    queue_priority: 3,
+    batch_downloads: true,
+    max_playlist_items: 500,
+    audio_formats: ['mp3', 'm4a', 'opus', 'ogg', 'flac', 'wav', 'bestaudio'],
+    max_audio_bitrate: 320,
+    monthly_bandwidth: -1,
+    max_file_size: 10 * GB,
+    max_upload_size: 5 * GB,
+    storage_limit: 200 * GB,
     features: ['Unlimited downloads', 'Original quality', 'Batch downloads', 'Priority support', 'API access']
   }
 };
@@ -1,6 +1,9 @@
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const fs = require('fs');
 const User = require('../models/User');
 const License = require('../models/License');
+const usageService = require('../services/usageService');
 
 // Verify JWT token
 const authenticateToken = async (req, res, next) => {
@@ -83,33 +86,67 @@ const verifyLicense = async (req, res, next) => {
   }
 };
 
-// Check download permissions
+// Check bandwidth and storage, then reserve daily quota for the jobs a request will create.
+// Anonymous users get the free tier, tracked by IP; a batch needs one download per URL.
+// Units not claimed by a job (claimQuota) are released once the response is sent.
 const checkDownloadPermission = async (req, res, next) => {
   try {
     const user = req.user;
     
-    if (!user) {
-      return res.status(401).json({
+    // Admins are not limited
+    if (user && user.licenseType === 'ADMIN') {
+      return next();
+    }
+    
+    const owner = getRequester(req).owner;
+    const transfer = await usageService.getTransferUsage(user, owner);
+    
+    if (transfer.bandwidth.remaining === 0) {
+      discardUpload(req);
+      return res.status(429).json({
         success: false,
-        message: 'Authentication required'
+        message: 'Monthly bandwidth limit exceeded',
+        bandwidth: transfer.bandwidth,
+        licenseType: user ? user.licenseType : 'FREE'
       });
     }
-
-    const downloadCheck = await user.canDownload();
     
-    if (!downloadCheck.canDownload) {
+    if (transfer.storage.remaining === 0) {
+      discardUpload(req);
+      return res.status(507).json({
+        success: false,
+        message: 'Storage limit reached, finished files are removed 24 hours after their job ends',
+        storage: transfer.storage,
+        licenseType: user ? user.licenseType : 'FREE'
+      });
+    }
+    
+    // Routes that expand a request into several jobs (e.g. playlists) set req.jobCount first
+    const requested = req.jobCount || (req.body && Array.isArray(req.body.urls) ? req.body.urls.length : 1);
+    const reservation = await usageService.reserve(user, owner, requested, { maxFileSize: transfer.maxFileSize });
+    
+    if (!reservation.reserved) {
+      discardUpload(req);
       return res.status(429).json({
         success: false,
         message: 'Daily download limit exceeded',
-        remaining: downloadCheck.remaining,
-        dailyLimit: downloadCheck.dailyLimit,
-        licenseType: user.licenseType
+        remaining: reservation.remaining,
+        pending: reservation.pending,
+        dailyLimit: reservation.dailyLimit,
+        licenseType: user ? user.licenseType : 'FREE'
       });
     }
 
-    req.downloadPermission = downloadCheck;
+    req.quotaReservation = reservation;
+    res.on('close', () => {
+      usageService.releaseUnclaimed(reservation).catch(error => {
+        console.error('Failed to release quota reservation:', error.message);
+      });
+    });
+
     next();
   } catch (error) {
+    discardUpload(req);
     return res.status(500).json({
       success: false,
       message: 'Permission check failed',
@@ -118,45 +155,107 @@ const checkDownloadPermission = async (req, res, next) => {
   }
 };
 
-// Check quality permissions
+// Take one unit of the request's quota reservation for a new job (null for admins)
+const claimQuota = (req) => usageService.claim(req.quotaReservation);
+
+// Quality hierarchy: 360p < 480p < 720p < 1080p < 1440p < 2160p < original
+const QUALITY_LEVELS = {
+  '360p': 1,
+  '480p': 2,
+  '720p': 3,
+  '1080p': 4,
+  '1440p': 5,
+  '2160p': 6,
+  'best': 7,
+  'original': 7
+};
+
+// Whether a license type may request a quality
+const isQualityAllowed = (licenseType, quality) => {
+  if (licenseType === 'ADMIN') return true;
+
+  const maxQuality = usageService.getLicenseInfo(licenseType).max_quality;
+  const requestedLevel = QUALITY_LEVELS[quality] || QUALITY_LEVELS['720p'];
+  const maxLevel = QUALITY_LEVELS[maxQuality] || QUALITY_LEVELS['720p'];
+
+  return requestedLevel <= maxLevel;
+};
+
+// Video formats are open to every license, audio formats are listed per license
+const VIDEO_FORMATS = ['mp4', 'mkv', 'webm', 'best'];
+
+// Approximate bitrate (kbps) of each VBR level (0-10), compared against the license's maximum bitrate
+const VBR_BITRATES = [245, 225, 190, 175, 165, 130, 115, 100, 85, 65, 45];
+
+// Whether a license type may download a format
+const isFormatAllowed = (licenseType, format) => {
+  if (licenseType === 'ADMIN') return true;
+
+  return VIDEO_FORMATS.includes(format) || usageService.getLicenseInfo(licenseType).audio_formats.includes(format);
+};
+
+// Whether a license type may request an audio bitrate ("320k") or VBR level
+const isAudioQualityAllowed = (licenseType, { audioBitrate, audioVbr }) => {
+  if (licenseType === 'ADMIN') return true;
+
+  const requested = audioVbr !== undefined ? VBR_BITRATES[audioVbr] : parseInt(audioBitrate, 10);
+  return !requested || requested <= usageService.getLicenseInfo(licenseType).max_audio_bitrate;
+};
+
+// Check format and audio quality permissions (anonymous users get the free tier)
+const checkFormatPermission = (req, res, next) => {
+  const licenseType = req.user ? req.user.licenseType : 'FREE';
+  const { format = 'mp4', audioBitrate, audioVbr } = req.body;
+  const licenseInfo = usageService.getLicenseInfo(licenseType);
+  
+  if (!isFormatAllowed(licenseType, format)) {
+    return res.status(403).json({
+      success: false,
+      message: `Format ${format} not available with ${licenseType} license`,
+      audioFormats: licenseInfo.audio_formats,
+      licenseType: licenseType
+    });
+  }
+  
+  if (!isAudioQualityAllowed(licenseType, { audioBitrate, audioVbr })) {
+    return res.status(403).json({
+      success: false,
+      message: `Audio quality ${audioBitrate || `VBR ${audioVbr}`} not available with ${licenseType} license`,
+      maxAudioBitrate: `${licenseInfo.max_audio_bitrate}k`,
+      licenseType: licenseType
+    });
+  }
+
+  next();
+};
+
+// Check quality permissions (anonymous users get the free tier)
 const checkQualityPermission = (req, res, next) => {
   try {
-    const user = req.user;
+    const licenseType = req.user ? req.user.licenseType : 'FREE';
     const requestedQuality = req.body.quality || req.query.quality || '720p';
     
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Authentication required'
-      });
-    }
-
-    const licenseInfo = req.licenseInfo || user.licenseInfo;
-    const maxQuality = licenseInfo.max_quality;
-    
-    // Quality hierarchy: 360p < 480p < 720p < 1080p < original
-    const qualityLevels = {
-      '360p': 1,
-      '480p': 2,
-      '720p': 3,
-      '1080p': 4,
-      'original': 5
-    };
-    
-    const requestedLevel = qualityLevels[requestedQuality] || 3;
-    const maxLevel = qualityLevels[maxQuality] || 3;
-    
-    if (requestedLevel > maxLevel) {
+    if (!isQualityAllowed(licenseType, requestedQuality)) {
+      const maxQuality = usageService.getLicenseInfo(licenseType).max_quality;
+      
+      // A platform's default quality is lowered to what the license allows
+      if (req.qualityDefaulted) {
+        req.body.quality = maxQuality;
+        return next();
+      }
+      
+      discardUpload(req);
       return res.status(403).json({
         success: false,
-        message: `Quality ${requestedQuality} not available with ${user.licenseType} license`,
+        message: `Quality ${requestedQuality} not available with ${licenseType} license`,
         maxQuality: maxQuality,
-        licenseType: user.licenseType
+        licenseType: licenseType
       });
     }
 
     next();
   } catch (error) {
+    discardUpload(req);
     return res.status(500).json({
       success: false,
       message: 'Quality permission check failed',
@@ -165,6 +264,40 @@ const checkQualityPermission = (req, res, next) => {
   }
 };
 
+// Batch downloads are a paid feature
+const checkBatchPermission = (req, res, next) => {
+  const licenseType = req.user ? req.user.licenseType : 'FREE';
+  
+  if (licenseType !== 'ADMIN' && !usageService.getLicenseInfo(licenseType).batch_downloads) {
+    return res.status(403).json({
+      success: false,
+      message: `Batch downloads are not available with ${licenseType} license`,
+      licenseType: licenseType
+    });
+  }
+
+  next();
+};
+
+// Delete the file of a rejected upload
+const discardUpload = (req) => {
+  if (req.file && req.file.path) {
+    fs.unlink(req.file.path, () => {});
+  }
+};
+
+// Resolve an active user from a JWT (null if the token is invalid)
+const getUserFromToken = async (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret-key');
+    const user = await User.findById(decoded.userId);
+    
+    return user && user.isActive ? user : null;
+  } catch (error) {
+    return null;
+  }
+};
+
 // Optional authentication (for endpoints that work with or without auth)
 const optionalAuth = async (req, res, next) => {
   try {
@@ -172,15 +305,10 @@ const optionalAuth = async (req, res, next) => {
     const token = authHeader && authHeader.split(' ')[1];
 
     if (token) {
-      try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret-key');
-        const user = await User.findById(decoded.userId);
-        
-        if (user && user.isActive) {
-          req.user = user;
-        }
-      } catch (error) {
-        // Ignore token errors for optional auth
+      const user = await getUserFromToken(token);
+      
+      if (user) {
+        req.user = user;
       }
     }
 
@@ -190,6 +318,69 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Only a hash of anonymous session tokens is stored on jobs
+const hashSessionToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issued tokens are 48 hex characters; anything shorter is too easy to guess
+const isValidSessionToken = (token) => typeof token === 'string' && token.length >= 32;
+
+// Identify anonymous clients by a session token (X-Session-Token header).
+// A new token is issued when none is sent; clients keep it to reach their jobs later.
+// The sessionToken query parameter is only read on GET requests, for EventSource and file links
+// that cannot send headers; it is redacted from the request log.
+const identifySession = (req, res, next) => {
+  let token = req.headers['x-session-token'] || (req.method === 'GET' ? req.query.sessionToken : undefined);
+
+  if (!isValidSessionToken(token)) {
+    token = crypto.randomBytes(24).toString('hex');
+    req.sessionTokenIssued = true;
+    res.setHeader('X-Session-Token', token);
+  }
+
+  req.sessionToken = token;
+  req.sessionId = hashSessionToken(token);
+  next();
+};
+
+// Identify who a job belongs to. Queue limits for anonymous requests go by client IP,
+// since a new session token is only a missing header away.
+const getRequester = (req) => ({
+  owner: req.user ? req.user.id : `ip:${req.ip}`,
+  licenseType: req.user ? req.user.licenseType : 'FREE',
+  userId: req.user ? req.user.id : undefined,
+  sessionId: req.user ? undefined : req.sessionId
+});
+
+// Check whether a requester ({ user, sessionId }) may see a job
+const canAccessJob = (requester, job) => {
+  const { user, sessionId } = requester;
+
+  if (user && user.licenseType === 'ADMIN') return true;
+  if (job.userId) return Boolean(user && user.id === job.userId);
+  if (job.sessionId) return Boolean(sessionId && sessionId === job.sessionId);
+
+  // Jobs created before ownership was recorded belong to no one, so only admins see them
+  return false;
+};
+
+// Load the job named by :jobId and make sure the requester owns it.
+// Unknown and foreign jobs both get a 404 so job IDs cannot be probed.
+const authorizeJob = (getJob) => {
+  return (req, res, next) => {
+    const job = getJob(req.params.jobId);
+
+    if (!job || !canAccessJob(req, job)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    req.job = job;
+    next();
+  };
+};
+
 // Admin only middleware
 const requireAdmin = (req, res, next) => {
   if (!req.user || req.user.licenseType !== 'ADMIN') {
@@ -206,6 +397,19 @@ module.exports = {
   verifyLicense,
   checkDownloadPermission,
   checkQualityPermission,
+  checkBatchPermission,
+  checkFormatPermission,
+  claimQuota,
+  isQualityAllowed,
+  isFormatAllowed,
   optionalAuth,
-  requireAdmin
+  requireAdmin,
+  getRequester,
+  getUserFromToken,
+  identifySession,
+  hashSessionToken,
+  isValidSessionToken,
+  canAccessJob,
+  authorizeJob,
+  discardUpload
 };
\ No newline at end of file
@@ -1,24 +1,252 @@
 const Joi = require('joi');
+const platformRegistry = require('../services/platformRegistry');
+const { discardUpload } = require('./auth');
+
+// Clip boundaries in seconds (e.g. 90.5) or as [HH:]MM:SS[.ms] timestamps, converted to seconds.
+// Below a higher unit, minutes and seconds go up to 59.
+const timestamp = Joi.alternatives(
+  Joi.number().min(0),
+  Joi.string().pattern(/^(\d+:[0-5]\d|\d{1,2}):[0-5]\d(\.\d+)?$/).message('{{#label}} must be seconds or a [HH:]MM:SS[.ms] timestamp')
+).custom(value => (typeof value === 'number'
+  ? value
+  : value.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0)));
+
+// A clip has to end after it starts
+const clipOrder = (value, helpers) => {
+  if (value.start !== undefined && value.end !== undefined && value.end <= value.start) {
+    return helpers.message('"end" must be after "start"');
+  }
+  return value;
+};
+
+// How a clip is cut, the same default for downloads and conversions.
+// Downloads: fast copies the streams from the keyframe before start, accurate re-encodes from the exact frame.
+// Conversions re-encode either way: fast seeks on the input, accurate decodes from the beginning.
+const cutMode = Joi.string().valid('fast', 'accurate').default('fast');
 
 // Validation schemas
 const conversionSchema = Joi.object({
   format: Joi.string().valid('mp4', 'avi', 'mov', 'wmv', 'flv', 'webm', 'mkv', 'mp3', 'wav', 'aac', 'flac', 'ogg').optional(),
   quality: Joi.string().valid('480p', '720p', '1080p', '1440p', '2160p').optional(),
   codec: Joi.string().valid('libx264', 'libx265', 'libvpx', 'libvpx-vp9', 'aac', 'mp3', 'libvorbis', 'flac').optional(),
-  bitrate: Joi.string().pattern(/^\d+k$/).optional() // e.g., "192k", "320k"
+  bitrate: Joi.string().pattern(/^\d+k$/).optional(), // e.g., "192k", "320k"
+  start: timestamp.optional(),
+  end: timestamp.optional(),
+  cut: cutMode
+}).custom(clipOrder);
+
+// Animated GIF, WebP or APNG from an upload or a finished download (jobId)
+const animationSchema = Joi.object({
+  jobId: Joi.string().guid().optional(),
+  format: Joi.string().valid('gif', 'webp', 'apng').default('gif'),
+  start: timestamp.default(0),
+  duration: Joi.number().greater(0).max(30).default(5), // seconds
+  fps: Joi.number().integer().min(1).max(30).default(10),
+  width: Joi.number().integer().min(64).max(1280).default(480), // height follows the aspect ratio
+  loop: Joi.number().integer().min(0).max(100).default(0), // times to play, 0 forever
+  // GIF palette dithering
+  dither: Joi.string().valid('none', 'bayer', 'floyd_steinberg', 'sierra2', 'sierra2_4a').when('format', {
+    is: 'gif',
+    then: Joi.string().default('sierra2_4a'),
+    otherwise: Joi.forbidden()
+  }),
+  maxSize: Joi.number().integer().min(10 * 1024).optional() // bytes
+});
+
+// Poster frame, thumbnails or a sprite sheet from an upload or a finished download (jobId)
+const thumbnailSchema = Joi.object({
+  jobId: Joi.string().guid().optional(),
+  mode: Joi.string().valid('poster', 'thumbnails', 'sprite').default('poster'),
+  format: Joi.string().valid('jpg', 'png', 'webp').default('jpg'),
+  width: Joi.number().integer().min(32).max(1920).when('mode', {
+    switch: [
+      { is: 'poster', then: Joi.number().default(1280) },
+      { is: 'thumbnails', then: Joi.number().default(320) }
+    ],
+    otherwise: Joi.number().default(160)
+  }),
+  // poster: "best" scene change or a time
+  at: Joi.alternatives(Joi.valid('best'), timestamp).when('mode', {
+    is: 'poster',
+    then: Joi.any().default('best'),
+    otherwise: Joi.forbidden()
+  }),
+  // thumbnails: how many
+  count: Joi.number().integer().min(1).max(50).when('mode', {
+    is: 'thumbnails',
+    then: Joi.number().default(10),
+    otherwise: Joi.forbidden()
+  }),
+  // sprite: seconds between frames and tiles per row
+  interval: Joi.number().min(1).max(600).when('mode', {
+    is: 'sprite',
+    then: Joi.number().default(10),
+    otherwise: Joi.forbidden()
+  }),
+  columns: Joi.number().integer().min(1).max(20).when('mode', {
+    is: 'sprite',
+    then: Joi.number().default(10),
+    otherwise: Joi.forbidden()
+  })
+});
+
+// HLS (optionally DASH/CMAF) packaging of an upload or a finished download (jobId)
+const streamSchema = Joi.object({
+  jobId: Joi.string().guid().optional(),
+  dash: Joi.boolean().default(false), // also a DASH manifest, with CMAF segments shared by both
+  segmentDuration: Joi.number().integer().min(2).max(10).default(6) // seconds
+});
+
+// format_id values from /api/download/info (letters, digits, "-", "_" and "." only)
+const formatId = Joi.string().pattern(/^[\w.-]+$/).max(50);
+
+// Subtitle tracks to download with a video
+const subtitlesSchema = Joi.object({
+  languages: Joi.array().items(Joi.string().pattern(/^[a-zA-Z]{2,3}([-_]\w+)*$/).max(20)).min(1).max(10).default(['en']),
+  automatic: Joi.boolean().default(false), // fall back to auto-generated captions
+  format: Joi.string().valid('srt', 'vtt').default('srt'),
+  embed: Joi.boolean().default(false) // also embed as soft subtitles
+});
+
+// URL download formats; "best" and "bestaudio" keep the original streams
+const VIDEO_FORMATS = ['mp4', 'mkv', 'webm', 'best'];
+const AUDIO_FORMATS = ['mp3', 'm4a', 'opus', 'ogg', 'flac', 'wav', 'bestaudio'];
+const downloadFormat = Joi.string().valid(...VIDEO_FORMATS, ...AUDIO_FORMATS).default('mp4');
+
+// CBR bitrate or VBR level (0 best to 10 smallest), only for audio formats that are re-encoded
+const lossyAudio = { is: Joi.valid('mp3', 'm4a', 'opus', 'ogg'), otherwise: Joi.forbidden() };
+const audioBitrate = Joi.string().valid('64k', '96k', '128k', '160k', '192k', '256k', '320k').when('format', lossyAudio);
+const audioVbr = Joi.number().integer().min(0).max(10).when('format', lossyAudio);
+
+// Details to embed in the downloaded file
+const metadataSchema = Joi.object({
+  tags: Joi.boolean().default(true), // title, artist (uploader), date and description
+  thumbnail: Joi.boolean().default(true), // as cover art
+  chapters: Joi.boolean().default(true) // where the source has them
 });
 
+// Thumbnails can be embedded in MP4, MKV and audio files other than WAV
+const metadataOption = metadataSchema.when('format', {
+  is: Joi.valid('mp4', 'mkv', 'mp3', 'm4a', 'opus', 'ogg', 'flac'),
+  otherwise: Joi.object({ thumbnail: Joi.boolean().valid(false).default(false) })
+}).optional();
+
+// Output filename, e.g. "{uploader} - {title}"; text and {title}, {uploader}, {date}, {id}, {format} and {quality}
+const filenameTemplate = Joi.string().pattern(/^([^{}]|\{(title|uploader|date|id|format|quality)\})+$/).max(200).optional();
+
 const downloadSchema = Joi.object({
   url: Joi.string().uri().required(),
-  format: Joi.string().valid('mp4', 'mp3', 'webm', 'best').default('mp4'),
+  format: downloadFormat,
+  quality: Joi.string().valid('480p', '720p', '1080p', '1440p', '2160p', 'best').optional(), // defaults per platform
+  videoFormatId: formatId.optional(),
+  audioFormatId: formatId.optional(),
+  // WebM cannot hold H.264
+  codec: Joi.string().valid('av1', 'vp9', 'h264').when('format', {
+    is: 'webm',
+    then: Joi.valid(Joi.override, 'av1', 'vp9')
+  }).optional(),
+  fps: Joi.number().integer().min(1).max(240).optional(), // highest frame rate wanted
+  hdr: Joi.boolean().optional(), // true prefers HDR streams, false prefers SDR
+  // Only MP4, MKV and WebM files can carry soft subtitles
+  subtitles: subtitlesSchema.when('format', {
+    is: Joi.valid('mp4', 'mkv', 'webm'),
+    otherwise: Joi.object({ embed: Joi.valid(false) })
+  }).optional(),
+  audioBitrate,
+  audioVbr,
+  metadata: metadataOption,
+  filenameTemplate,
+  start: timestamp.optional(),
+  end: timestamp.optional(),
+  cut: cutMode
+}).oxor('audioBitrate', 'audioVbr').custom(clipOrder);
+
+const playlistSchema = Joi.object({
+  url: Joi.string().uri().required(),
+  format: downloadFormat,
+  quality: Joi.string().valid('480p', '720p', '1080p', '1440p', '2160p', 'best').optional(), // defaults per platform
+  // 1-based item numbers and ranges, e.g. "1-5,8,10-12"
+  items: Joi.string().pattern(/^\d+(-\d+)?(,\d+(-\d+)?)*$/).max(100).optional(),
+  audioBitrate,
+  audioVbr,
+  metadata: metadataOption,
+  filenameTemplate
+}).oxor('audioBitrate', 'audioVbr');
+
+const batchSchema = Joi.object({
+  urls: Joi.array().items(Joi.string().uri()).min(1).max(10).required(),
+  format: downloadFormat,
   quality: Joi.string().valid('480p', '720p', '1080p', '1440p', '2160p', 'best').default('720p')
 });
 
+// Registry platform of a URL, or the response to send when downloads from it are not accepted
+const checkPlatform = (url, licenseType) => {
+  const platform = platformRegistry.find(url);
+  
+  if (!platform) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: 'Unsupported platform',
+        message: `URL must be from ${platformRegistry.list().map(p => p.name).join(', ')}`
+      }
+    };
+  }
+  
+  if (!platformRegistry.isAvailable(platform, licenseType)) {
+    return {
+      status: 403,
+      body: {
+        success: false,
+        message: `${platform.name} downloads are not available with ${licenseType} license`,
+        licenseType: licenseType
+      }
+    };
+  }
+  
+  return { platform };
+};
+
+// Check the URL against the platform registry, store its canonical form and fill in the
+// platform's default quality when none was given
+const resolvePlatform = (req, res, next) => {
+  const licenseType = req.user ? req.user.licenseType : 'FREE';
+  const { platform, status, body } = checkPlatform(req.body.url, licenseType);
+  
+  if (!platform) {
+    return res.status(status).json(body);
+  }
+  
+  req.platform = platform;
+  req.body.url = platform.canonicalize(new URL(req.body.url));
+  
+  if (!req.body.quality) {
+    req.body.quality = platform.defaultQuality;
+    req.qualityDefaulted = true;
+  }
+  
+  next();
+};
+
+// Clip of a validated request ({ start, end, mode } in seconds, end null for the rest of the video),
+// null when neither start nor end was given
+const getClip = ({ start, end, cut }) => {
+  if (start === undefined && end === undefined) return null;
+  
+  return {
+    start: start || 0,
+    end: end === undefined ? null : end,
+    mode: cut || 'fast'
+  };
+};
+
 // Middleware functions
 const validateConversionRequest = (req, res, next) => {
-  const { error } = conversionSchema.validate(req.body);
+  const { error, value } = conversionSchema.validate(req.body);
   
   if (error) {
+    discardUpload(req);
     return res.status(400).json({
       success: false,
       error: 'Validation failed',
@@ -34,6 +262,9 @@ const validateConversionRequest = (req, res, next) => {
     });
   }
   
+  // Replace req.body with validated values (clip timestamps in seconds)
+  req.body = value;
+  
   next();
 };
 
@@ -51,31 +282,81 @@ const validateDownloadRequest = (req, res, next) => {
   // Replace req.body with validated and default values
   req.body = value;
   
-  // Validate URL format for supported platforms
-  const url = req.body.url;
-  const supportedPlatforms = [
-    /^https?:\/\/(www\.)?(facebook|fb)\.com\/.+/,
-    /^https?:\/\/(www\.)?instagram\.com\/.+/,
-    /^https?:\/\/(www\.)?tiktok\.com\/.+/,
-    /^https?:\/\/(www\.)?youtube\.com\/.+/,
-    /^https?:\/\/(www\.)?youtu\.be\/.+/,
-    /^https?:\/\/(www\.)?twitter\.com\/.+/,
-    /^https?:\/\/(www\.)?x\.com\/.+/
-  ];
-  
-  const isSupported = supportedPlatforms.some(pattern => pattern.test(url));
-  
-  if (!isSupported) {
+  resolvePlatform(req, res, next);
+};
+
+const validatePlaylistRequest = (req, res, next) => {
+  const { error, value } = playlistSchema.validate(req.body);
+  
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  
+  // Replace req.body with validated and default values
+  req.body = value;
+  
+  resolvePlatform(req, res, next);
+};
+
+// Every URL of a batch goes through the platform registry like a single download
+const validateBatchRequest = (req, res, next) => {
+  const { error, value } = batchSchema.validate(req.body);
+  
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  
+  const licenseType = req.user ? req.user.licenseType : 'FREE';
+  const urls = [];
+  
+  for (const url of value.urls) {
+    const { platform, status, body } = checkPlatform(url, licenseType);
+    
+    if (!platform) {
+      return res.status(status).json({ ...body, url });
+    }
+    
+    urls.push(platform.canonicalize(new URL(url)));
+  }
+  
+  // Replace req.body with validated and default values
+  req.body = { ...value, urls };
+  
+  next();
+};
+
+// Validate the options of a job on an upload or a finished download against schema;
+// the upload or jobId is checked by the route
+const validateMediaJobRequest = (schema) => (req, res, next) => {
+  const { error, value } = schema.validate(req.body);
+  
+  if (error) {
+    discardUpload(req);
     return res.status(400).json({
       success: false,
-      error: 'Unsupported platform',
-      message: 'URL must be from Facebook, Instagram, TikTok, YouTube, or Twitter/X'
+      error: 'Validation failed',
+      details: error.details.map(detail => detail.message)
     });
   }
   
+  // Replace req.body with validated and default values
+  req.body = value;
+  
   next();
 };
 
+const validateAnimationRequest = validateMediaJobRequest(animationSchema);
+const validateThumbnailRequest = validateMediaJobRequest(thumbnailSchema);
+const validateStreamRequest = validateMediaJobRequest(streamSchema);
+
 const validateJobId = (req, res, next) => {
   const { jobId } = req.params;
   
@@ -138,7 +419,13 @@ const validateRateLimit = (req, res, next) => {
 module.exports = {
   validateConversionRequest,
   validateDownloadRequest,
+  validatePlaylistRequest,
+  validateBatchRequest,
+  validateAnimationRequest,
+  validateThumbnailRequest,
+  validateStreamRequest,
   validateJobId,
   validateFileSize,
-  validateRateLimit
+  validateRateLimit,
+  getClip
 };
\ No newline at end of file
@@ -0,0 +1,166 @@
+const { db, COLLECTIONS } = require('../config/firebase');
+
+// Longest word prefix stored for search; longer search words are shortened to it
+const MAX_TERM_LENGTH = 20;
+
+// Most words of a search that are looked up (Firestore allows 30 values for array-contains-any)
+const MAX_SEARCH_WORDS = 10;
+
+// Lowercase words of a text (letters and digits)
+function getWords(text) {
+  return String(text).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// Every prefix of every word of the title and URL, so searches can be paginated by Firestore
+// instead of filtering the whole history in memory
+function getSearchTerms(values) {
+  const terms = new Set();
+
+  for (const word of values.filter(Boolean).flatMap(getWords)) {
+    for (let length = 1; length <= Math.min(word.length, MAX_TERM_LENGTH); length++) {
+      terms.add(word.slice(0, length));
+    }
+  }
+  return [...terms];
+}
+
+class DownloadHistory {
+  constructor(data) {
+    this.id = data.id;
+    this.userId = data.userId || null;
+    this.sessionId = data.sessionId || null;
+    this.jobId = data.jobId;
+    this.batchId = data.batchId || null;
+    this.type = data.type; // 'download', 'video_conversion', 'audio_extraction', 'animation', 'thumbnails', 'stream'
+    this.status = data.status; // 'completed', 'failed'
+    this.url = data.url || null;
+    this.platform = data.platform || null;
+    this.title = data.title || null;
+    this.format = data.format || null;
+    this.quality = data.quality || null;
+    this.options = data.options || null; // the download's other POST /api/download settings
+    this.fileSize = data.fileSize || null;
+    this.duration = data.duration || null; // Media duration in seconds
+    this.licenseType = data.licenseType || 'FREE';
+    this.errorCode = data.errorCode || null;
+    this.error = data.error || null;
+    this.queuedAt = data.queuedAt;
+    this.startedAt = data.startedAt || null;
+    this.finishedAt = data.finishedAt;
+    this.createdAt = data.createdAt || new Date();
+    this.searchTerms = data.searchTerms || getSearchTerms([this.title, this.url]);
+  }
+
+  // Record a finished job
+  static async create(entryData) {
+    try {
+      const newEntry = new DownloadHistory(entryData);
+      const { id, ...data } = newEntry;
+
+      const docRef = await db.collection(COLLECTIONS.DOWNLOAD_HISTORY).add(data);
+      newEntry.id = docRef.id;
+      return newEntry;
+    } catch (error) {
+      throw new Error(`Failed to record download history: ${error.message}`);
+    }
+  }
+
+  // Find history entry by ID
+  static async findById(entryId) {
+    try {
+      const doc = await db.collection(COLLECTIONS.DOWNLOAD_HISTORY).doc(entryId).get();
+
+      if (!doc.exists) {
+        return null;
+      }
+
+      return new DownloadHistory({ id: doc.id, ...doc.data() });
+    } catch (error) {
+      throw new Error(`Failed to find history entry: ${error.message}`);
+    }
+  }
+
+  // Find a user's history, newest first.
+  // search matches entries with a word in the title or URL that starts with one of the search's words.
+  // Both queries need the composite indexes in firestore.indexes.json.
+  static async findByUserId(userId, { search, page = 1, limit = 20 } = {}) {
+    try {
+      let query = db.collection(COLLECTIONS.DOWNLOAD_HISTORY)
+        .where('userId', '==', userId);
+
+      if (search) {
+        const words = [...new Set(getWords(search).map(word => word.slice(0, MAX_TERM_LENGTH)))].slice(0, MAX_SEARCH_WORDS);
+
+        if (words.length === 0) {
+          return { entries: [], total: 0 };
+        }
+        query = query.where('searchTerms', 'array-contains-any', words);
+      }
+
+      query = query.orderBy('createdAt', 'desc');
+
+      const [countSnapshot, snapshot] = await Promise.all([
+        query.count().get(),
+        query.offset((page - 1) * limit).limit(limit).get()
+      ]);
+
+      return {
+        entries: snapshot.docs.map(doc => new DownloadHistory({ id: doc.id, ...doc.data() })),
+        total: countSnapshot.data().count
+      };
+    } catch (error) {
+      throw new Error(`Failed to find download history: ${error.message}`);
+    }
+  }
+
+  // Delete history entry
+  async delete() {
+    try {
+      await db.collection(COLLECTIONS.DOWNLOAD_HISTORY).doc(this.id).delete();
+    } catch (error) {
+      throw new Error(`Failed to delete history entry: ${error.message}`);
+    }
+  }
+
+  // Whether the entry can be queued again (conversions need the original upload)
+  canRedownload() {
+    return this.type === 'download' && Boolean(this.url);
+  }
+
+  // Body of a POST /api/download request for the same download.
+  // Entries recorded before options were stored only have the URL, format and quality.
+  toDownloadRequest() {
+    const request = { ...this.options, url: this.url, format: this.format, quality: this.quality };
+
+    return Object.fromEntries(Object.entries(request).filter(([, value]) => value !== null));
+  }
+
+  // Convert to JSON (safe for API responses)
+  toJSON() {
+    return {
+      id: this.id,
+      jobId: this.jobId,
+      batchId: this.batchId,
+      type: this.type,
+      status: this.status,
+      url: this.url,
+      platform: this.platform,
+      title: this.title,
+      format: this.format,
+      quality: this.quality,
+      options: this.options,
+      fileSize: this.fileSize,
+      duration: this.duration,
+      licenseType: this.licenseType,
+      errorCode: this.errorCode,
+      error: this.error,
+      queuedAt: this.queuedAt,
+      startedAt: this.startedAt,
+      finishedAt: this.finishedAt,
+      createdAt: this.createdAt,
+      canRedownload: this.canRedownload()
+    };
+  }
+}
+
+module.exports = DownloadHistory;
@@ -13,8 +13,7 @@ class User {
     this.licenseType = data.licenseType || 'FREE';
     this.licenseKey = data.licenseKey;
     this.licenseExpiry = data.licenseExpiry;
-    this.downloadsToday = data.downloadsToday || 0;
-    this.lastDownloadDate = data.lastDownloadDate;
+    this.timezone = data.timezone || 'UTC'; // Daily quotas reset at midnight in this zone
     this.isActive = data.isActive !== undefined ? data.isActive : true;
     this.createdAt = data.createdAt || new Date();
     this.updatedAt = data.updatedAt || new Date();
@@ -44,8 +43,7 @@ class User {
         licenseType: 'FREE',
         licenseKey: licenseKey,
         licenseExpiry: null, // Free license doesn't expire
-        downloadsToday: 0,
-        lastDownloadDate: null,
+        timezone: userData.timezone || 'UTC',
         isActive: true,
         createdAt: new Date(),
         updatedAt: new Date()
@@ -189,71 +187,6 @@ class User {
     }
   }
 
-  // Check if user can download (rate limiting)
-  async canDownload() {
-    try {
-      const today = new Date().toDateString();
-      const lastDownload = this.lastDownloadDate ? new Date(this.lastDownloadDate.toDate()).toDateString() : null;
-      
-      // Reset daily counter if it's a new day
-      if (lastDownload !== today) {
-        this.downloadsToday = 0;
-      }
-
-      const licenseInfo = LICENSE_TYPES[this.licenseType];
-      const dailyLimit = licenseInfo.downloads_per_day;
-      
-      // -1 means unlimited
-      if (dailyLimit === -1) {
-        return { canDownload: true, remaining: -1 };
-      }
-
-      const remaining = Math.max(0, dailyLimit - this.downloadsToday);
-      return {
-        canDownload: remaining > 0,
-        remaining,
-        dailyLimit
-      };
-    } catch (error) {
-      throw new Error(`Failed to check download permission: ${error.message}`);
-    }
-  }
-
-  // Increment download count
-  async incrementDownloadCount() {
-    try {
-      const today = new Date();
-      const lastDownload = this.lastDownloadDate ? new Date(this.lastDownloadDate.toDate()).toDateString() : null;
-      const todayString = today.toDateString();
-      
-      let newCount = this.downloadsToday;
-      
-      // Reset counter if it's a new day
-      if (lastDownload !== todayString) {
-        newCount = 1;
-      } else {
-        newCount += 1;
-      }
-
-      const updateData = {
-        downloadsToday: newCount,
-        lastDownloadDate: today,
-        updatedAt: new Date()
-      };
-
-      await db.collection(COLLECTIONS.USERS).doc(this.id).update(updateData);
-      
-      // Update local instance
-      this.downloadsToday = newCount;
-      this.lastDownloadDate = today;
-      this.updatedAt = new Date();
-      
-      return this;
-    } catch (error) {
-      throw new Error(`Failed to increment download count: ${error.message}`);
-    }
-  }
-
   // Get user info without sensitive data
   toJSON() {
     return {
@@ -264,8 +197,7 @@ class User {
       licenseType: this.licenseType,
       licenseKey: this.licenseKey,
       licenseExpiry: this.licenseExpiry,
-      downloadsToday: this.downloadsToday,
-      lastDownloadDate: this.lastDownloadDate,
+      timezone: this.timezone,
       isActive: this.isActive,
       createdAt: this.createdAt,
       licenseInfo: LICENSE_TYPES[this.licenseType]
@@ -3,6 +3,7 @@ const Joi = require('joi');
 const User = require('../models/User');
 const License = require('../models/License');
 const { authenticateToken, verifyLicense } = require('../middleware/auth');
+const usageService = require('../services/usageService');
 const { LICENSE_TYPES } = require('../config/firebase');
 
 const router = express.Router();
@@ -12,7 +13,16 @@ const registerSchema = Joi.object({
   email: Joi.string().email().required(),
   password: Joi.string().min(8).required(),
   firstName: Joi.string().min(2).max(50).required(),
-  lastName: Joi.string().min(2).max(50).required()
+  lastName: Joi.string().min(2).max(50).required(),
+  timezone: Joi.string().custom((value, helpers) => {
+    // Accept any IANA time zone the runtime knows, e.g. "Asia/Phnom_Penh"
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: value });
+      return value;
+    } catch (error) {
+      return helpers.error('any.invalid');
+    }
+  }).optional()
 });
 
 const loginSchema = Joi.object({
@@ -94,13 +104,19 @@ router.post('/login', async (req, res) => {
 router.get('/profile', authenticateToken, async (req, res) => {
   try {
     const user = req.user;
-    const downloadCheck = await user.canDownload();
+    const usage = await usageService.getUsage(user, user.id);
+    const downloadCheck = {
+      canDownload: usage.remaining === -1 || usage.remaining > 0,
+      remaining: usage.remaining,
+      dailyLimit: usage.dailyLimit
+    };
 
     res.json({
       success: true,
       data: {
         user: user.toJSON(),
-        downloadPermission: downloadCheck
+        downloadPermission: downloadCheck,
+        usage
       }
     });
   } catch (error) {
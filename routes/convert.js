@@ -4,10 +4,32 @@ const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
 const ffmpegService = require('../services/ffmpegService');
-const { validateConversionRequest } = require('../middleware/validation');
+const downloadService = require('../services/downloadService');
+const usageService = require('../services/usageService');
+const { streamJobProgress } = require('../services/progressStream');
+const {
+  validateConversionRequest,
+  validateAnimationRequest,
+  validateThumbnailRequest,
+  validateStreamRequest,
+  getClip
+} = require('../middleware/validation');
+const {
+  optionalAuth,
+  identifySession,
+  checkDownloadPermission,
+  checkQualityPermission,
+  claimQuota,
+  getRequester,
+  canAccessJob,
+  authorizeJob
+} = require('../middleware/auth');
 
 const router = express.Router();
 
+// Only the user (or anonymous session) that started a conversion can see it
+const jobAccess = [optionalAuth, identifySession, authorizeJob(jobId => ffmpegService.getJob(jobId))];
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -23,92 +45,227 @@ const storage = multer.diskStorage({
   }
 });
 
-const upload = multer({
-  storage,
-  limits: {
-    fileSize: 500 * 1024 * 1024 // 500MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    const allowedMimes = [
-      'video/mp4', 'video/avi', 'video/mov', 'video/wmv', 'video/flv',
-      'video/webm', 'video/mkv', 'audio/mp3', 'audio/wav', 'audio/aac',
-      'audio/flac', 'audio/ogg'
-    ];
-    
-    if (allowedMimes.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Invalid file type. Only video and audio files are allowed.'));
+// Accept only video and audio files
+const fileFilter = (req, file, cb) => {
+  const allowedMimes = [
+    'video/mp4', 'video/avi', 'video/mov', 'video/wmv', 'video/flv',
+    'video/webm', 'video/mkv', 'audio/mp3', 'audio/wav', 'audio/aac',
+    'audio/flac', 'audio/ogg'
+  ];
+  
+  if (allowedMimes.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Invalid file type. Only video and audio files are allowed.'));
+  }
+};
+
+// Accept a single "video" upload, limited to the caller's license upload size
+const uploadVideo = (req, res, next) => {
+  const licenseType = req.user ? req.user.licenseType : 'FREE';
+  const maxSize = usageService.getLicenseInfo(licenseType).max_upload_size;
+  const upload = multer({ storage, fileFilter, limits: { fileSize: maxSize } }).single('video');
+  
+  upload(req, res, error => {
+    if (error && error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        success: false,
+        error: 'File too large',
+        message: `File size must be less than ${Math.round(maxSize / (1024 * 1024))}MB with ${licenseType} license`,
+        maxUploadSize: maxSize
+      });
     }
+    next(error);
+  });
+};
+
+// The file to work on: the upload, or the file of one of the caller's finished downloads (jobId)
+const resolveSource = (req, res, next) => {
+  if (req.file) {
+    req.source = { inputFile: req.file.path, title: req.file.originalname };
+    return next();
   }
-});
+  
+  if (!req.body.jobId) {
+    return res.status(400).json({
+      success: false,
+      error: 'No file uploaded',
+      message: 'Upload a file or give the jobId of a finished download'
+    });
+  }
+  
+  // Foreign downloads look missing, as on the download routes
+  const job = downloadService.getJob(req.body.jobId);
+  if (!job || !canAccessJob(req, job)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+  
+  if (job.status !== 'completed' || !job.outputFile || !fs.existsSync(job.outputFile)) {
+    return res.status(409).json({
+      success: false,
+      error: 'Download is not available',
+      status: job.status
+    });
+  }
+  
+  req.source = { inputFile: job.outputFile, title: job.filename || job.title, sourceJobId: job.id };
+  next();
+};
+
+// Route handler that starts a job on req.source in the background and answers with its queue status.
+// create(options, job) starts it from the validated options and job (source, jobId, requester and quota);
+// description names the job in messages.
+const startMediaJob = (description, create) => async (req, res) => {
+  try {
+    const jobId = uuidv4();
+    
+    // Failures are recorded on the job
+    create(req.body, {
+      ...req.source,
+      jobId,
+      ...getRequester(req),
+      quota: claimQuota(req)
+    }).catch(error => {
+      console.error(`${description} job ${jobId} failed:`, error.message);
+    });
+    
+    const progress = ffmpegService.getProgress(jobId);
+    
+    res.status(202).json({
+      success: true,
+      jobId,
+      message: `${description} started`,
+      status: progress.status,
+      queuePosition: progress.queuePosition,
+      sessionToken: req.sessionTokenIssued ? req.sessionToken : undefined
+    });
+    
+  } catch (error) {
+    console.error(`${description} error:`, error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to start ${description.toLowerCase()}`,
+      message: error.message
+    });
+  }
+};
 
 // Convert video format
-router.post('/video', upload.single('video'), validateConversionRequest, async (req, res) => {
+router.post('/video', optionalAuth, identifySession, uploadVideo, checkDownloadPermission, validateConversionRequest, checkQualityPermission, async (req, res) => {
   try {
     const { format, quality, codec } = req.body;
     const inputFile = req.file.path;
     const jobId = uuidv4();
     
-    // Start conversion process
-    const result = await ffmpegService.convertVideo({
+    // Start conversion process in the background; failures are recorded on the job
+    ffmpegService.convertVideo({
       inputFile,
+      title: req.file.originalname,
       format: format || 'mp4',
       quality: quality || '720p',
       codec: codec || 'libx264',
-      jobId
+      clip: getClip(req.body),
+      jobId,
+      ...getRequester(req),
+      quota: claimQuota(req)
+    }).catch(error => {
+      console.error(`Video conversion job ${jobId} failed:`, error.message);
     });
     
-    res.json({
+    const progress = ffmpegService.getProgress(jobId);
+    
+    res.status(202).json({
       success: true,
       jobId,
       message: 'Video conversion started',
-      outputFile: result.outputFile
+      status: progress.status,
+      queuePosition: progress.queuePosition,
+      sessionToken: req.sessionTokenIssued ? req.sessionToken : undefined
     });
     
   } catch (error) {
     console.error('Video conversion error:', error);
     res.status(500).json({
       success: false,
-      error: 'Video conversion failed',
+      error: 'Failed to start video conversion',
       message: error.message
     });
   }
 });
 
 // Extract audio from video
-router.post('/audio', upload.single('video'), validateConversionRequest, async (req, res) => {
+// License quality is a video resolution, so it has no say over audio
+router.post('/audio', optionalAuth, identifySession, uploadVideo, checkDownloadPermission, validateConversionRequest, async (req, res) => {
   try {
     const { format, bitrate } = req.body;
     const inputFile = req.file.path;
     const jobId = uuidv4();
     
-    const result = await ffmpegService.extractAudio({
+    // Start extraction in the background; failures are recorded on the job
+    ffmpegService.extractAudio({
       inputFile,
+      title: req.file.originalname,
       format: format || 'mp3',
       bitrate: bitrate || '192k',
-      jobId
+      clip: getClip(req.body),
+      jobId,
+      ...getRequester(req),
+      quota: claimQuota(req)
+    }).catch(error => {
+      console.error(`Audio extraction job ${jobId} failed:`, error.message);
     });
     
-    res.json({
+    const progress = ffmpegService.getProgress(jobId);
+    
+    res.status(202).json({
       success: true,
       jobId,
       message: 'Audio extraction started',
-      outputFile: result.outputFile
+      status: progress.status,
+      queuePosition: progress.queuePosition,
+      sessionToken: req.sessionTokenIssued ? req.sessionToken : undefined
     });
     
   } catch (error) {
     console.error('Audio extraction error:', error);
     res.status(500).json({
       success: false,
-      error: 'Audio extraction failed',
+      error: 'Failed to start audio extraction',
       message: error.message
     });
   }
 });
 
+// Create an animated GIF, WebP or APNG from part of an upload or a finished download
+// The schema caps animations at 1280px wide, within every license's quality (720p and up)
+router.post('/gif', optionalAuth, identifySession, uploadVideo, checkDownloadPermission, validateAnimationRequest, resolveSource,
+  startMediaJob('Animation', ({ format, start, duration, fps, width, loop, dither, maxSize }, job) => ffmpegService.createAnimation({
+    ...job,
+    format,
+    options: { start, duration, fps, width, loop, dither, maxSize }
+  })));
+
+// Create a poster frame, thumbnails or a seek-preview sprite sheet from an upload or a finished download
+// License quality applies to videos, not to still images
+router.post('/thumbnails', optionalAuth, identifySession, uploadVideo, checkDownloadPermission, validateThumbnailRequest, resolveSource,
+  startMediaJob('Thumbnail generation', ({ mode, format, width, at, count, interval, columns }, job) => ffmpegService.createThumbnails({
+    ...job,
+    mode,
+    options: { format, width, at, count, interval, columns }
+  })));
+
+// Package an upload or a finished download for in-browser playback (HLS, optionally DASH)
+router.post('/stream', optionalAuth, identifySession, uploadVideo, checkDownloadPermission, validateStreamRequest, resolveSource,
+  startMediaJob('Stream packaging', ({ dash, segmentDuration }, job) => ffmpegService.createStream({
+    ...job,
+    options: { dash, segmentDuration }
+  })));
+
 // Get conversion progress
-router.get('/progress/:jobId', (req, res) => {
+router.get('/progress/:jobId', jobAccess, (req, res) => {
   try {
     const { jobId } = req.params;
     const progress = ffmpegService.getProgress(jobId);
@@ -135,8 +292,54 @@ router.get('/progress/:jobId', (req, res) => {
   }
 });
 
+// Stream conversion progress as Server-Sent Events
+router.get('/progress/:jobId/stream', jobAccess, (req, res) => {
+  streamJobProgress(req, res, req.params.jobId, jobId => {
+    const progress = ffmpegService.getProgress(jobId);
+    return progress && { success: true, progress };
+  });
+});
+
+// Cancel a conversion
+router.delete('/jobs/:jobId', jobAccess, async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const result = await ffmpegService.cancelJob(jobId);
+    
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+    
+    if (!result.cancelled) {
+      return res.status(409).json({
+        success: false,
+        error: 'Job already finished',
+        status: result.job.status
+      });
+    }
+    
+    res.json({
+      success: true,
+      jobId,
+      status: 'cancelled',
+      message: 'Conversion cancelled'
+    });
+    
+  } catch (error) {
+    console.error('Conversion cancel error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel conversion',
+      message: error.message
+    });
+  }
+});
+
 // Download converted file
-router.get('/download/:jobId', (req, res) => {
+router.get('/download/:jobId', jobAccess, (req, res) => {
   try {
     const { jobId } = req.params;
     const filePath = ffmpegService.getOutputFile(jobId);
@@ -162,6 +365,37 @@ router.get('/download/:jobId', (req, res) => {
   }
 });
 
+// Serve one of a job's files (thumbnails, sprite sheets, stream playlists and segments). The file token
+// in the path authorizes the request, so players can load files that reference each other without credentials.
+router.get('/files/:jobId/:token/:name', (req, res) => {
+  try {
+    const { jobId, token, name } = req.params;
+    const filePath = ffmpegService.getJobFile(jobId, token, name);
+    
+    if (!filePath) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found'
+      });
+    }
+    
+    // CMAF segments are not in the MIME database
+    if (path.extname(filePath) === '.m4s') {
+      res.type('video/iso.segment');
+    }
+    
+    res.sendFile(path.resolve(filePath));
+    
+  } catch (error) {
+    console.error('File error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send file',
+      message: error.message
+    });
+  }
+});
+
 // Get supported formats
 router.get('/formats', (req, res) => {
   res.json({
@@ -169,6 +403,9 @@ router.get('/formats', (req, res) => {
     formats: {
       video: ['mp4', 'avi', 'mov', 'wmv', 'flv', 'webm', 'mkv'],
       audio: ['mp3', 'wav', 'aac', 'flac', 'ogg'],
+      animation: ['gif', 'webp', 'apng'],
+      image: ['jpg', 'png', 'webp'],
+      stream: ['hls', 'dash'],
       qualities: ['480p', '720p', '1080p', '1440p', '2160p'],
       codecs: {
         video: ['libx264', 'libx265', 'libvpx', 'libvpx-vp9'],
@@ -1,56 +1,141 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
-const YTDlpWrap = require('yt-dlp-wrap').default;
-const ytDlpWrap = new YTDlpWrap();
 const path = require('path');
 const fs = require('fs');
-const ffmpegService = require('../services/ffmpegService');
-const { validateDownloadRequest, validateRateLimit } = require('../middleware/validation');
+const archiver = require('archiver');
+const Joi = require('joi');
+const downloadService = require('../services/downloadService');
+const historyService = require('../services/historyService');
+const usageService = require('../services/usageService');
+const platformRegistry = require('../services/platformRegistry');
+const infoCache = require('../services/infoCache');
+const { classifyDownloadError } = require('../services/downloadErrors');
+const { streamJobProgress } = require('../services/progressStream');
+const { validateDownloadRequest, validatePlaylistRequest, validateBatchRequest, validateRateLimit, getClip } = require('../middleware/validation');
+const {
+  authenticateToken,
+  optionalAuth,
+  identifySession,
+  checkDownloadPermission,
+  checkQualityPermission,
+  checkBatchPermission,
+  checkFormatPermission,
+  claimQuota,
+  getRequester,
+  canAccessJob,
+  authorizeJob
+} = require('../middleware/auth');
 
 const router = express.Router();
 
-// Job tracking for downloads
-const downloadJobs = new Map();
+// Validation schemas
+const historyQuerySchema = Joi.object({
+  search: Joi.string().trim().max(200).optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
 
-// Download video from URL
-router.post('/', validateRateLimit, validateDownloadRequest, async (req, res) => {
+// Subtitle tracks yt-dlp reports for a video, by language
+function getSubtitleTracks(tracks, automatic) {
+  return Object.entries(tracks || {})
+    // "live_chat" is a chat replay, not a subtitle track
+    .filter(([language]) => language !== 'live_chat')
+    .map(([language, formats]) => ({
+      language,
+      name: formats.length > 0 && formats[0].name ? formats[0].name : language,
+      automatic,
+      formats: [...new Set(formats.map(format => format.ext))]
+    }));
+}
+
+// Only the user (or anonymous session) that started a download can see it
+const jobAccess = [optionalAuth, identifySession, authorizeJob(jobId => downloadService.getJob(jobId))];
+
+// List the entries of a playlist request before quota is reserved for them.
+// yt-dlp only runs with quota left, and lists no more entries than the license and the remaining quota allow.
+const loadPlaylist = async (req, res, next) => {
+  const licenseType = req.user ? req.user.licenseType : 'FREE';
+  let maxItems;
+  
+  try {
+    const usage = await usageService.getUsage(req.user, getRequester(req).owner);
+    
+    if (usage.remaining === 0) {
+      return res.status(429).json({
+        success: false,
+        message: 'Daily download limit exceeded',
+        remaining: usage.remaining,
+        pending: usage.pending,
+        dailyLimit: usage.dailyLimit,
+        licenseType
+      });
+    }
+    
+    maxItems = usageService.getLicenseInfo(licenseType).max_playlist_items;
+    if (usage.remaining !== -1) {
+      maxItems = Math.min(maxItems, usage.remaining);
+    }
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Permission check failed',
+      error: error.message
+    });
+  }
+  
   try {
-    const { url, format, quality } = req.body;
-    const jobId = uuidv4();
-    const outputDir = path.join(__dirname, '../downloads');
+    req.playlist = await downloadService.expandPlaylist(req.body.url, { items: req.body.items, maxItems });
     
-    // Ensure download directory exists
-    if (!fs.existsSync(outputDir)) {
-      fs.mkdirSync(outputDir, { recursive: true });
+    if (req.playlist.entries.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Playlist has no downloadable entries'
+      });
     }
     
-    // Initialize job tracking
-    downloadJobs.set(jobId, {
-      status: 'starting',
+    req.jobCount = req.playlist.entries.length;
+    next();
+  } catch (error) {
+    const classified = classifyDownloadError(error);
+    
+    res.status(400).json({
+      success: false,
+      error: 'Failed to read playlist',
+      errorCode: classified.errorCode,
+      message: classified.message
+    });
+  }
+};
+
+// Queue a validated download request
+const queueDownload = async (req, res) => {
+  try {
+    const {
+      url, format, quality, videoFormatId, audioFormatId, codec, fps, hdr, audioBitrate, audioVbr, subtitles, metadata, filenameTemplate
+    } = req.body;
+    
+    // Queue download process to run asynchronously
+    const jobId = downloadService.startDownload({
       url,
       format,
       quality,
-      startTime: Date.now(),
-      progress: 0
+      preferences: { videoFormatId, audioFormatId, codec, fps, hdr, audioBitrate, audioVbr },
+      subtitles,
+      metadata,
+      clip: getClip(req.body),
+      filenameTemplate,
+      ...getRequester(req),
+      quota: claimQuota(req)
     });
-    
-    // Start download process asynchronously
-    downloadVideo(jobId, url, format, quality, outputDir)
-      .catch(error => {
-        console.error(`Download job ${jobId} failed:`, error);
-        downloadJobs.set(jobId, {
-          ...downloadJobs.get(jobId),
-          status: 'failed',
-          error: error.message,
-          endTime: Date.now()
-        });
-      });
+    const progress = downloadService.getProgress(jobId);
     
     res.json({
       success: true,
       jobId,
       message: 'Download started',
-      status: 'starting'
+      status: progress.status,
+      queuePosition: progress.queuePosition,
+      sessionToken: req.sessionTokenIssued ? req.sessionToken : undefined
     });
     
   } catch (error) {
@@ -61,15 +146,51 @@ router.post('/', validateRateLimit, validateDownloadRequest, async (req, res) =>
       message: error.message
     });
   }
-});
+};
+
+// Replace the body with the original request of the history entry being re-downloaded
+const loadRedownloadRequest = async (req, res, next) => {
+  try {
+    const entry = await historyService.getEntry(req.user.id, req.params.entryId);
+    
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'History entry not found'
+      });
+    }
+    
+    if (!entry.canRedownload()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only downloads can be re-downloaded',
+        message: 'Conversions need the original file to be uploaded again'
+      });
+    }
+    
+    req.body = entry.toDownloadRequest();
+    next();
+    
+  } catch (error) {
+    console.error('Re-download error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start download',
+      message: error.message
+    });
+  }
+};
+
+// Download video from URL
+router.post('/', validateRateLimit, optionalAuth, identifySession, validateDownloadRequest, checkQualityPermission, checkFormatPermission, checkDownloadPermission, queueDownload);
 
 // Get download progress
-router.get('/progress/:jobId', (req, res) => {
+router.get('/progress/:jobId', jobAccess, (req, res) => {
   try {
     const { jobId } = req.params;
-    const job = downloadJobs.get(jobId);
+    const progress = downloadService.getProgress(jobId);
     
-    if (!job) {
+    if (!progress) {
       return res.status(404).json({
         success: false,
         error: 'Job not found'
@@ -77,21 +198,10 @@ router.get('/progress/:jobId', (req, res) => {
     }
     
     // Format response to match frontend expectations
-    const response = {
+    res.json({
       success: true,
-      progress: job.progress || 0,
-      status: job.status,
-      error: job.error
-    };
-    
-    // Add download URL and filename when completed
-    if (job.status === 'completed' && job.outputFile) {
-      response.downloadUrl = `/api/download/file/${jobId}`;
-      response.filename = path.basename(job.outputFile);
-      response.fileSize = job.fileSize;
-    }
-    
-    res.json(response);
+      ...progress
+    });
     
   } catch (error) {
     console.error('Progress check error:', error);
@@ -103,13 +213,169 @@ router.get('/progress/:jobId', (req, res) => {
   }
 });
 
-// Download completed file
-router.get('/file/:jobId', (req, res) => {
+// Stream download progress as Server-Sent Events
+router.get('/progress/:jobId/stream', jobAccess, (req, res) => {
+  streamJobProgress(req, res, req.params.jobId, jobId => {
+    const progress = downloadService.getProgress(jobId);
+    return progress && { success: true, ...progress };
+  });
+});
+
+// Cancel a download
+router.delete('/jobs/:jobId', jobAccess, async (req, res) => {
   try {
     const { jobId } = req.params;
-    const job = downloadJobs.get(jobId);
+    const result = await downloadService.cancelJob(jobId);
+    
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+    
+    if (!result.cancelled) {
+      return res.status(409).json({
+        success: false,
+        error: 'Job already finished',
+        status: result.job.status
+      });
+    }
+    
+    res.json({
+      success: true,
+      jobId,
+      status: 'cancelled',
+      message: 'Download cancelled'
+    });
+    
+  } catch (error) {
+    console.error('Download cancel error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel download',
+      message: error.message
+    });
+  }
+});
+
+// Get aggregated status of a batch
+router.get('/batch/:batchId', optionalAuth, identifySession, (req, res) => {
+  try {
+    const batch = downloadService.getBatchStatus(req.params.batchId, job => canAccessJob(req, job));
     
-    if (!job || job.status !== 'completed') {
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Batch not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      ...batch
+    });
+    
+  } catch (error) {
+    console.error('Batch status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get batch status',
+      message: error.message
+    });
+  }
+});
+
+// Stream a ZIP of all completed files in a batch
+router.get('/batch/:batchId/archive', optionalAuth, identifySession, (req, res) => {
+  try {
+    const { batchId } = req.params;
+    const canAccess = job => canAccessJob(req, job);
+    
+    if (!downloadService.getBatchStatus(batchId, canAccess)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Batch not found'
+      });
+    }
+    
+    const files = downloadService.getBatchFiles(batchId, canAccess);
+    
+    if (files.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No completed files in this batch'
+      });
+    }
+    
+    // Media files are already compressed, so entries are stored as-is
+    const archive = archiver('zip', { store: true });
+    
+    archive.on('warning', error => console.warn('Batch archive warning:', error.message));
+    archive.on('error', error => {
+      console.error('Batch archive error:', error);
+      res.destroy(error);
+    });
+    
+    // Stop reading files if the client goes away
+    res.on('close', () => {
+      if (!res.writableFinished) archive.abort();
+    });
+    
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="batch-${batchId}.zip"`);
+    
+    archive.pipe(res);
+    for (const file of files) {
+      archive.file(file.path, { name: file.name });
+    }
+    archive.finalize();
+    
+  } catch (error) {
+    console.error('Batch archive error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create archive',
+      message: error.message
+    });
+  }
+});
+
+// Cancel all unfinished downloads in a batch
+router.delete('/batch/:batchId', optionalAuth, identifySession, async (req, res) => {
+  try {
+    const result = await downloadService.cancelBatch(req.params.batchId, job => canAccessJob(req, job));
+    
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Batch not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      batchId: result.batchId,
+      cancelledJobIds: result.cancelledJobIds,
+      message: `Cancelled ${result.cancelledJobIds.length} downloads`
+    });
+    
+  } catch (error) {
+    console.error('Batch cancel error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel batch',
+      message: error.message
+    });
+  }
+});
+
+// Download completed file
+router.get('/file/:jobId', jobAccess, (req, res) => {
+  try {
+    const job = req.job;
+    
+    if (job.status !== 'completed') {
       return res.status(404).json({
         success: false,
         error: 'File not ready or job not found'
@@ -123,8 +389,8 @@ router.get('/file/:jobId', (req, res) => {
       });
     }
     
-    const filename = path.basename(job.outputFile);
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    // res.attachment encodes titles that are not plain ASCII
+    res.attachment(job.filename || path.basename(job.outputFile));
     res.sendFile(path.resolve(job.outputFile));
     
   } catch (error) {
@@ -137,23 +403,63 @@ router.get('/file/:jobId', (req, res) => {
   }
 });
 
+// Download a subtitle file of a completed job
+router.get('/file/:jobId/subtitles/:language', jobAccess, (req, res) => {
+  try {
+    const subtitle = downloadService.getSubtitleFile(req.job.id, req.params.language);
+    
+    if (req.job.status !== 'completed' || !subtitle) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subtitles not found'
+      });
+    }
+    
+    // Named after the video: "Title.en.srt"
+    const ext = path.extname(req.job.outputFile);
+    const baseName = req.job.filename ? path.basename(req.job.filename, ext) : path.basename(req.job.outputFile, ext);
+    res.attachment(`${baseName}.${subtitle.language}.${subtitle.format}`);
+    res.sendFile(path.resolve(subtitle.path));
+    
+  } catch (error) {
+    console.error('Subtitle download error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Download failed',
+      message: error.message
+    });
+  }
+});
+
+// List the platforms downloads are accepted from
+router.get('/platforms', optionalAuth, (req, res) => {
+  const licenseType = req.user ? req.user.licenseType : 'FREE';
+  
+  res.json({
+    success: true,
+    platforms: platformRegistry.list().map(platform => platformRegistry.describe(platform, licenseType))
+  });
+});
+
 // Get video info without downloading
-router.post('/info', validateDownloadRequest, async (req, res) => {
+router.post('/info', optionalAuth, validateDownloadRequest, async (req, res) => {
   try {
     const { url } = req.body;
     
-    const info = await ytDlpWrap.getVideoInfo(url);
-    
-    res.json({
-      success: true,
-      info: {
-        title: info.title,
-        duration: info.duration,
-        thumbnail: info.thumbnail,
-        uploader: info.uploader,
-        view_count: info.view_count,
-        upload_date: info.upload_date,
-        formats: info.formats?.map(f => ({
+    // Only the fields below are cached, the full yt-dlp output is much larger
+    const { info, cached } = await infoCache.get(url, async () => {
+      const videoInfo = await downloadService.getVideoInfo(url, req.platform.ytDlpArgs);
+      
+      return {
+        url,
+        platform: { id: req.platform.id, name: req.platform.name },
+        title: videoInfo.title,
+        duration: videoInfo.duration,
+        thumbnail: videoInfo.thumbnail,
+        uploader: videoInfo.uploader,
+        view_count: videoInfo.view_count,
+        upload_date: videoInfo.upload_date,
+        formats: videoInfo.formats?.map(f => ({
           format_id: f.format_id,
           ext: f.ext,
           quality: f.quality,
@@ -163,8 +469,18 @@ router.post('/info', validateDownloadRequest, async (req, res) => {
           fps: f.fps,
           vcodec: f.vcodec,
           acodec: f.acodec
-        })) || []
-      }
+        })) || [],
+        subtitles: [
+          ...getSubtitleTracks(videoInfo.subtitles, false),
+          ...getSubtitleTracks(videoInfo.automatic_captions, true)
+        ]
+      };
+    });
+    
+    res.json({
+      success: true,
+      cached,
+      info
     });
     
   } catch (error) {
@@ -178,65 +494,28 @@ router.post('/info', validateDownloadRequest, async (req, res) => {
 });
 
 // Batch download multiple URLs
-router.post('/batch', validateRateLimit, async (req, res) => {
+router.post('/batch', validateRateLimit, optionalAuth, identifySession, checkBatchPermission, validateBatchRequest, checkQualityPermission, checkFormatPermission, checkDownloadPermission, async (req, res) => {
   try {
-    const { urls, format = 'mp4', quality = '720p' } = req.body;
-    
-    if (!Array.isArray(urls) || urls.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'URLs array is required'
-      });
-    }
-    
-    if (urls.length > 10) {
-      return res.status(400).json({
-        success: false,
-        error: 'Maximum 10 URLs allowed per batch'
-      });
-    }
+    const { urls, format, quality } = req.body;
     
     const batchId = uuidv4();
-    const jobIds = [];
-    const outputDir = path.join(__dirname, '../downloads');
-    
-    // Ensure download directory exists
-    if (!fs.existsSync(outputDir)) {
-      fs.mkdirSync(outputDir, { recursive: true });
-    }
+    const requester = getRequester(req);
     
-    // Start downloads for each URL
-    for (const url of urls) {
-      const jobId = uuidv4();
-      jobIds.push(jobId);
-      
-      downloadJobs.set(jobId, {
-        status: 'starting',
-        url,
-        format,
-        quality,
-        batchId,
-        startTime: Date.now(),
-        progress: 0
-      });
-      
-      // Start download asynchronously
-      downloadVideo(jobId, url, format, quality, outputDir)
-        .catch(error => {
-          console.error(`Batch download job ${jobId} failed:`, error);
-          downloadJobs.set(jobId, {
-            ...downloadJobs.get(jobId),
-            status: 'failed',
-            error: error.message,
-            endTime: Date.now()
-          });
-        });
-    }
+    // Queue downloads for each URL
+    const jobIds = urls.map(url => downloadService.startDownload({
+      url,
+      format,
+      quality,
+      batchId,
+      ...requester,
+      quota: claimQuota(req)
+    }));
     
     res.json({
       success: true,
       batchId,
       jobIds,
+      sessionToken: req.sessionTokenIssued ? req.sessionToken : undefined,
       message: `Batch download started for ${urls.length} URLs`
     });
     
@@ -250,129 +529,121 @@ router.post('/batch', validateRateLimit, async (req, res) => {
   }
 });
 
-// Helper function to download video
-async function downloadVideo(jobId, url, format, quality, outputDir) {
+// Download a playlist, channel or multi-post URL as a batch of jobs
+router.post('/playlist', validateRateLimit, optionalAuth, identifySession, validatePlaylistRequest, checkQualityPermission, checkFormatPermission, loadPlaylist, checkDownloadPermission, async (req, res) => {
   try {
-    // Update status to downloading
-    downloadJobs.set(jobId, {
-      ...downloadJobs.get(jobId),
-      status: 'downloading'
-    });
+    const { format, quality, audioBitrate, audioVbr, metadata, filenameTemplate } = req.body;
+    const { title, entries, total, truncated } = req.playlist;
     
-    // Determine output filename
-    const timestamp = Date.now();
-    const outputTemplate = path.join(outputDir, `${jobId}-${timestamp}.%(ext)s`);
-    
-    // Configure yt-dlp options as object
-    const options = {
-      output: outputTemplate,
-      noPlaylist: true
-    };
-    
-    // Set format based on request
-    if (format === 'mp3') {
-      options.extractAudio = true;
-      options.audioFormat = 'mp3';
-      options.audioQuality = '192K';
-    } else {
-      // Video download
-      let formatSelector = 'best';
-      
-      switch (quality) {
-        case '480p':
-          formatSelector = 'best[height<=480]';
-          break;
-        case '720p':
-          formatSelector = 'best[height<=720]';
-          break;
-        case '1080p':
-          formatSelector = 'best[height<=1080]';
-          break;
-        case '1440p':
-          formatSelector = 'best[height<=1440]';
-          break;
-        case '2160p':
-          formatSelector = 'best[height<=2160]';
-          break;
-      }
-      
-      options.format = formatSelector;
-      
-      if (format !== 'best') {
-        options.recodeVideo = format;
-      }
-    }
+    const batchId = uuidv4();
+    const requester = getRequester(req);
     
-    // Execute download with progress tracking
-    try {
-      // Update progress periodically during download
-      const progressTimer = setInterval(() => {
-        const currentJob = downloadJobs.get(jobId);
-        if (currentJob && currentJob.status === 'downloading') {
-          // Simulate progress increase (yt-dlp doesn't provide real-time progress easily)
-          const elapsed = Date.now() - currentJob.startTime;
-          const estimatedProgress = Math.min(90, Math.floor(elapsed / 1000) * 2); // 2% per second, max 90%
-          downloadJobs.set(jobId, {
-            ...currentJob,
-            progress: estimatedProgress
-          });
-        }
-      }, 1000);
-      
-      await ytDlpWrap.execPromise([url], options);
-      clearInterval(progressTimer);
-      
-    } catch (error) {
-      throw new Error(`yt-dlp failed: ${error.message}`);
-    }
+    const jobIds = entries.map(entry => downloadService.startDownload({
+      url: entry.url,
+      title: entry.title,
+      format,
+      quality,
+      preferences: { audioBitrate, audioVbr },
+      metadata,
+      filenameTemplate,
+      batchId,
+      ...requester,
+      quota: claimQuota(req)
+    }));
     
-    // Find the downloaded file
-    const allFiles = fs.readdirSync(outputDir);
-    const downloadedFiles = allFiles.filter(file => {
-      const filePath = path.join(outputDir, file);
-      const stats = fs.statSync(filePath);
-      return stats.isFile() && file.includes(jobId);
+    res.json({
+      success: true,
+      batchId,
+      jobIds,
+      playlist: {
+        title,
+        total,
+        queued: jobIds.length,
+        truncated
+      },
+      statusUrl: `/api/download/batch/${batchId}`,
+      archiveUrl: `/api/download/batch/${batchId}/archive`,
+      sessionToken: req.sessionTokenIssued ? req.sessionToken : undefined,
+      message: `Playlist download started for ${jobIds.length} entries`
     });
     
-    if (downloadedFiles.length === 0) {
-      throw new Error('Downloaded file not found');
+  } catch (error) {
+    console.error('Playlist download error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start playlist download',
+      message: error.message
+    });
+  }
+});
+
+// Get the user's download and conversion history
+router.get('/history', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = historyQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: error.details.map(detail => detail.message)
+      });
     }
     
-    const outputFile = path.join(outputDir, downloadedFiles[0]);
-    const fileStats = fs.statSync(outputFile);
-    const fileSize = fileStats.size;
-    
-    // Update job status to completed
-    downloadJobs.set(jobId, {
-      ...downloadJobs.get(jobId),
-      status: 'completed',
-      outputFile,
-      fileSize,
-      endTime: Date.now(),
-      progress: 100
+    const { search, page, limit } = value;
+    const { entries, total } = await historyService.list(req.user.id, { search, page, limit });
+    
+    res.json({
+      success: true,
+      history: entries.map(entry => entry.toJSON()),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
     });
     
   } catch (error) {
-    throw error;
+    console.error('History fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get download history',
+      message: error.message
+    });
   }
-}
+});
 
-// Cleanup old downloads
-setInterval(() => {
-  const maxAge = 24 * 60 * 60 * 1000; // 24 hours
-  const now = Date.now();
-  
-  for (const [jobId, job] of downloadJobs.entries()) {
-    if (job.endTime && (now - job.endTime) > maxAge) {
-      // Delete file
-      if (job.outputFile && fs.existsSync(job.outputFile)) {
-        fs.unlinkSync(job.outputFile);
-      }
-      
-      // Remove from tracking
-      downloadJobs.delete(jobId);
+// Delete a history entry
+router.delete('/history/:entryId', authenticateToken, async (req, res) => {
+  try {
+    const entry = await historyService.getEntry(req.user.id, req.params.entryId);
+    
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'History entry not found'
+      });
     }
+    
+    await entry.delete();
+    
+    res.json({
+      success: true,
+      message: 'History entry deleted'
+    });
+    
+  } catch (error) {
+    console.error('History delete error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete history entry',
+      message: error.message
+    });
   }
-}, 60 * 60 * 1000); // Run every hour
+});
+
+// Queue a past download again with the settings it was made with.
+// The original request goes through the same validation and license checks as a new download.
+router.post('/history/:entryId/redownload', validateRateLimit, authenticateToken, loadRedownloadRequest, validateDownloadRequest, checkQualityPermission, checkFormatPermission, checkDownloadPermission, queueDownload);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
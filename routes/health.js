@@ -3,6 +3,7 @@ const ffmpeg = require('fluent-ffmpeg');
 const YTDlpWrap = require('yt-dlp-wrap').default;
 const fs = require('fs');
 const path = require('path');
+const jobQueue = require('../services/jobQueue');
 
 const router = express.Router();
 
@@ -145,7 +146,8 @@ router.get('/metrics', (req, res) => {
       uptime: process.uptime(),
       memory: process.memoryUsage(),
       cpu: process.cpuUsage()
-    }
+    },
+    queue: jobQueue.getStats()
   };
 
   // Add custom metrics if available
@@ -201,8 +203,8 @@ router.post('/test/ytdlp', async (req, res) => {
     
     const ytDlpWrap = new YTDlpWrap();
     
-    // Test by getting video info (without downloading)
-    const info = await ytDlpWrap.getVideoInfo(testUrl);
+    // Test by getting video info (without downloading); "--" keeps the URL from being read as an option
+    const info = JSON.parse(await ytDlpWrap.execPromise(['--no-playlist', '--dump-json', '--', testUrl]));
     
     res.json({
       success: true,
@@ -0,0 +1,109 @@
+const express = require('express');
+const Joi = require('joi');
+const jobStore = require('../services/jobStore');
+const ffmpegService = require('../services/ffmpegService');
+const downloadService = require('../services/downloadService');
+const { optionalAuth, identifySession } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Job type filters; "conversion" covers every ffmpeg job type
+const TYPE_FILTERS = {
+  download: ['download'],
+  conversion: ['video_conversion', 'audio_extraction', 'animation', 'thumbnails', 'stream'],
+  video_conversion: ['video_conversion'],
+  audio_extraction: ['audio_extraction'],
+  animation: ['animation'],
+  thumbnails: ['thumbnails'],
+  stream: ['stream']
+};
+
+// Validation schemas
+const listJobsSchema = Joi.object({
+  type: Joi.string().valid(...Object.keys(TYPE_FILTERS)).optional(),
+  status: Joi.string().valid('queued', 'downloading', 'processing', 'retrying', 'completed', 'failed', 'cancelled', 'expired').optional(),
+  batchId: Joi.string().optional(),
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  sessionToken: Joi.string().optional()
+});
+
+// Summary of a job, with the same details as its progress endpoint
+function toJobSummary(job) {
+  const details = job.type === 'download'
+    ? downloadService.getProgress(job.id)
+    : ffmpegService.getProgress(job.id);
+
+  return {
+    ...details,
+    jobId: job.id,
+    type: job.type,
+    batchId: job.batchId,
+    url: job.url,
+    format: job.format,
+    quality: job.quality,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+  };
+}
+
+// List the caller's jobs (newest first)
+router.get('/', optionalAuth, identifySession, (req, res) => {
+  try {
+    const { error, value } = listJobsSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    // Anonymous callers need the session token their jobs were created with
+    if (!req.user && req.sessionTokenIssued) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication or session token required'
+      });
+    }
+
+    const { type, status, batchId, from, to, page, limit } = value;
+    const types = type ? TYPE_FILTERS[type] : null;
+
+    const jobs = jobStore.list(job => {
+      // Only jobs the caller owns, even for admins
+      if (req.user ? job.userId !== req.user.id : job.sessionId !== req.sessionId) return false;
+      if (types && !types.includes(job.type)) return false;
+      if (status && job.status !== status) return false;
+      if (batchId && job.batchId !== batchId) return false;
+      if (from && job.createdAt < from.getTime()) return false;
+      if (to && job.createdAt > to.getTime()) return false;
+      return true;
+    }).sort((a, b) => b.createdAt - a.createdAt);
+
+    const start = (page - 1) * limit;
+
+    res.json({
+      success: true,
+      jobs: jobs.slice(start, start + limit).map(toJobSummary),
+      pagination: {
+        page,
+        limit,
+        total: jobs.length,
+        pages: Math.ceil(jobs.length / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Job listing error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list jobs',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
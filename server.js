@@ -5,10 +5,23 @@ const morgan = require('morgan');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
+const jobStore = require('./services/jobStore');
+const websocketService = require('./services/websocketService');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Proxies in front of the server (hop count, "true"/"false" or trusted addresses, default one hop).
+// Without this every request behind the proxy has the proxy's IP, and anonymous quotas,
+// queue limits and rate limits, which go by IP, would be shared by all anonymous users.
+function getTrustProxy(value = '1') {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+}
+
+app.set('trust proxy', getTrustProxy(process.env.TRUST_PROXY));
+
 // Security middleware
 app.use(helmet());
 app.use(compression());
@@ -41,19 +54,22 @@ app.use(cors({
       callback(new Error('Not allowed by CORS'));
     }
   },
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['X-Session-Token']
 }));
 
 // Body parsing middleware
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
-// Logging
+// Logging; session tokens passed in the query string (EventSource cannot send headers) are not written out
+morgan.token('url', (req) => (req.originalUrl || req.url).replace(/([?&]sessionToken=)[^&#]*/gi, '$1[REDACTED]'));
 app.use(morgan('combined'));
 
 // Routes
 app.use('/api/convert', require('./routes/convert'));
 app.use('/api/download', require('./routes/download'));
+app.use('/api/jobs', require('./routes/jobs'));
 app.use('/api/health', require('./routes/health'));
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/payments', require('./routes/payments'));
@@ -73,11 +89,26 @@ app.use('*', (req, res) => {
   res.status(404).json({ error: 'Route not found' });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 FlowDownloader Backend running on port ${PORT}`);
-  console.log(`📱 Frontend URL: ${process.env.FRONTEND_URL || 'http://localhost:5173'}`);
-  console.log(`🎬 FFmpeg integration ready`);
+// Start server once persisted jobs have been rehydrated
+jobStore.init()
+  .catch(error => {
+    console.error('❌ Job store initialization failed:', error.message);
+  })
+  .finally(() => {
+    const server = app.listen(PORT, () => {
+      console.log(`🚀 FlowDownloader Backend running on port ${PORT}`);
+      console.log(`📱 Frontend URL: ${process.env.FRONTEND_URL || 'http://localhost:5173'}`);
+      console.log(`🎬 FFmpeg integration ready`);
+      console.log(`🔌 WebSocket progress on ws://localhost:${PORT}/ws`);
+    });
+
+    // Real-time job progress
+    websocketService.attach(server);
+  });
+
+// Write pending job progress before the platform stops the container
+process.on('SIGTERM', () => {
+  jobStore.flush().finally(() => process.exit(0));
 });
 
 module.exports = app;
\ No newline at end of file
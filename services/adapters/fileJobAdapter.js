@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+
+// JSON file job persistence for local development and tests
+class FileJobAdapter {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.data = {};
+    this.writeChain = Promise.resolve();
+  }
+
+  // Load every persisted job
+  async loadAll() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const contents = await fs.promises.readFile(this.filePath, 'utf8');
+        this.data = contents.trim() ? JSON.parse(contents) : {};
+      }
+      return Object.values(this.data);
+    } catch (error) {
+      throw new Error(`Failed to load jobs: ${error.message}`);
+    }
+  }
+
+  // Create or replace a job entry
+  async save(job) {
+    this.data[job.id] = JSON.parse(JSON.stringify(job));
+    return this.write();
+  }
+
+  // Delete a job entry
+  async remove(jobId) {
+    delete this.data[jobId];
+    return this.write();
+  }
+
+  // Serialize writes and swap the file atomically so a crash never leaves half a file
+  write() {
+    this.writeChain = this.writeChain
+      .catch(() => {})
+      .then(async () => {
+        const tempFile = `${this.filePath}.tmp`;
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tempFile, JSON.stringify(this.data));
+        await fs.promises.rename(tempFile, this.filePath);
+      });
+
+    return this.writeChain;
+  }
+}
+
+module.exports = FileJobAdapter;
@@ -0,0 +1,40 @@
+const { COLLECTIONS } = require('../../config/firebase');
+
+// Firestore-backed job persistence (one document per job)
+class FirestoreJobAdapter {
+  constructor(db) {
+    this.collection = db.collection(COLLECTIONS.JOBS);
+  }
+
+  // Load every persisted job
+  async loadAll() {
+    try {
+      const snapshot = await this.collection.get();
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      throw new Error(`Failed to load jobs: ${error.message}`);
+    }
+  }
+
+  // Create or replace a job document
+  async save(job) {
+    try {
+      // Firestore rejects undefined values, so drop them before writing
+      const data = JSON.parse(JSON.stringify(job));
+      await this.collection.doc(job.id).set(data);
+    } catch (error) {
+      throw new Error(`Failed to save job ${job.id}: ${error.message}`);
+    }
+  }
+
+  // Delete a job document
+  async remove(jobId) {
+    try {
+      await this.collection.doc(jobId).delete();
+    } catch (error) {
+      throw new Error(`Failed to remove job ${jobId}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = FirestoreJobAdapter;
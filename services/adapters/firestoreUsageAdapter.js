@@ -0,0 +1,65 @@
+const { admin, COLLECTIONS } = require('../../config/firebase');
+
+// Firestore-backed usage counters (one document per subject and day or month)
+class FirestoreUsageAdapter {
+  constructor(db) {
+    this.db = db;
+    this.collection = db.collection(COLLECTIONS.USAGE);
+  }
+
+  // Read the counters for a subject and period
+  async get(key) {
+    try {
+      const doc = await this.collection.doc(key).get();
+      const data = doc.exists ? doc.data() : {};
+      return { used: data.used || 0, reserved: data.reserved || 0, bytes: data.bytes || 0 };
+    } catch (error) {
+      throw new Error(`Failed to read usage: ${error.message}`);
+    }
+  }
+
+  // Reserve count units unless that would go over limit (-1 = unlimited).
+  // Runs in a transaction so parallel requests cannot both take the last unit.
+  async reserve(key, { subject, day }, count, limit) {
+    try {
+      return await this.db.runTransaction(async transaction => {
+        const ref = this.collection.doc(key);
+        const doc = await transaction.get(ref);
+        const data = doc.exists ? doc.data() : {};
+        const used = data.used || 0;
+        const reserved = data.reserved || 0;
+
+        if (limit !== -1 && used + reserved + count > limit) {
+          return { reserved: false, used, pending: reserved };
+        }
+
+        transaction.set(ref, {
+          subject,
+          day,
+          used,
+          reserved: reserved + count,
+          updatedAt: new Date()
+        }, { merge: true });
+
+        return { reserved: true, used, pending: reserved + count };
+      });
+    } catch (error) {
+      throw new Error(`Failed to reserve usage: ${error.message}`);
+    }
+  }
+
+  // Atomically add to counters, e.g. { reserved: -1, used: 1 }
+  async increment(key, changes) {
+    try {
+      const data = { updatedAt: new Date() };
+      for (const [field, amount] of Object.entries(changes)) {
+        data[field] = admin.firestore.FieldValue.increment(amount);
+      }
+      await this.collection.doc(key).set(data, { merge: true });
+    } catch (error) {
+      throw new Error(`Failed to update usage: ${error.message}`);
+    }
+  }
+}
+
+module.exports = FirestoreUsageAdapter;
@@ -0,0 +1,59 @@
+// Stale counters are dropped after this long (monthly counters must last a month)
+const MAX_AGE = 32 * 24 * 60 * 60 * 1000;
+
+// In-memory usage counters for running without Firebase.
+// Every operation runs synchronously, so reservations cannot interleave.
+class MemoryUsageAdapter {
+  constructor() {
+    this.counters = new Map();
+  }
+
+  // Read the counters for a subject and period
+  async get(key) {
+    return this.read(key);
+  }
+
+  read(key) {
+    const counters = this.counters.get(key) || {};
+    return { used: counters.used || 0, reserved: counters.reserved || 0, bytes: counters.bytes || 0 };
+  }
+
+  // Reserve count units unless that would go over limit (-1 = unlimited).
+  // The read and the write happen in the same tick, so no other reservation can come between them.
+  async reserve(key, { subject, day }, count, limit) {
+    this.prune();
+
+    const { used, reserved } = this.read(key);
+
+    if (limit !== -1 && used + reserved + count > limit) {
+      return { reserved: false, used, pending: reserved };
+    }
+
+    this.counters.set(key, { ...this.counters.get(key), subject, day, used, reserved: reserved + count, updatedAt: Date.now() });
+    return { reserved: true, used, pending: reserved + count };
+  }
+
+  // Add to counters, e.g. { reserved: -1, used: 1 }
+  async increment(key, changes) {
+    const counters = this.counters.get(key) || { used: 0, reserved: 0 };
+
+    // Counters do not survive a restart, so releasing older reservations must not go below zero
+    for (const [field, amount] of Object.entries(changes)) {
+      counters[field] = Math.max(0, (counters[field] || 0) + amount);
+    }
+    counters.updatedAt = Date.now();
+
+    this.counters.set(key, counters);
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [key, counters] of this.counters.entries()) {
+      if (now - counters.updatedAt > MAX_AGE) {
+        this.counters.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = MemoryUsageAdapter;
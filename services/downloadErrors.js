@@ -0,0 +1,103 @@
+// Failure classes for yt-dlp downloads, checked in order (specific causes before generic network errors).
+// Transient classes are retried with exponential backoff starting at baseDelay.
+const DOWNLOAD_ERRORS = {
+  GEO_RESTRICTED: {
+    message: 'This video is not available in the server\'s region.',
+    retryable: false,
+    patterns: [/not (?:made this video )?available in your country/i, /geo.?restrict/i, /blocked it in your country/i]
+  },
+  VIDEO_UNAVAILABLE: {
+    message: 'This video is private, was removed, or requires signing in.',
+    retryable: false,
+    patterns: [
+      /Private video/i,
+      /video is private/i,
+      /Video unavailable/i,
+      /has been removed/i,
+      /account .*terminated/i,
+      /does not exist/i,
+      /HTTP Error 404/i,
+      /Sign in to confirm/i,
+      /login required/i
+    ]
+  },
+  UNSUPPORTED_FORMAT: {
+    message: 'The requested format or quality is not available for this video.',
+    retryable: false,
+    patterns: [/Requested format is not available/i, /No video formats found/i]
+  },
+  FILE_TOO_LARGE: {
+    message: 'This file is larger than your license allows.',
+    retryable: false,
+    patterns: [/larger than max-filesize/i]
+  },
+  QUALITY_NOT_ALLOWED: {
+    message: 'The selected format is above the quality your license allows.',
+    retryable: false,
+    patterns: [/above the maximum quality/i]
+  },
+  UNSUPPORTED_URL: {
+    message: 'This URL is not supported.',
+    retryable: false,
+    patterns: [/Unsupported URL/i]
+  },
+  RATE_LIMITED: {
+    message: 'The platform is limiting requests right now. Please try again in a few minutes.',
+    retryable: true,
+    baseDelay: 30 * 1000,
+    patterns: [/HTTP Error 429/i, /Too Many Requests/i, /rate.?limit/i]
+  },
+  NETWORK_ERROR: {
+    message: 'Could not reach the platform. Please try again.',
+    retryable: true,
+    baseDelay: 5 * 1000,
+    patterns: [
+      /timed? ?out/i,
+      /Connection (reset|refused|aborted)/i,
+      /Temporary failure in name resolution/i,
+      /Name or service not known/i,
+      /Network is unreachable/i,
+      /IncompleteRead/i,
+      /Unable to download webpage/i,
+      /urlopen error/i,
+      /HTTP Error 5\d\d/i
+    ]
+  }
+};
+
+const UNKNOWN_ERROR = {
+  errorCode: 'DOWNLOAD_FAILED',
+  message: 'The download failed.',
+  retryable: false
+};
+
+// Pull the last "ERROR: ..." line out of yt-dlp output
+function extractErrorLine(rawMessage) {
+  const lines = String(rawMessage).split('\n').filter(line => line.includes('ERROR:'));
+  return lines.length > 0 ? lines[lines.length - 1].trim() : String(rawMessage).trim();
+}
+
+// Classify a yt-dlp failure into a user-facing error code
+function classifyDownloadError(error) {
+  const rawMessage = error && error.message ? error.message : String(error);
+  const detail = extractErrorLine(rawMessage);
+
+  for (const [errorCode, definition] of Object.entries(DOWNLOAD_ERRORS)) {
+    if (definition.patterns.some(pattern => pattern.test(rawMessage))) {
+      return {
+        errorCode,
+        message: definition.message,
+        retryable: definition.retryable,
+        baseDelay: definition.baseDelay,
+        detail
+      };
+    }
+  }
+
+  return { ...UNKNOWN_ERROR, detail };
+}
+
+module.exports = {
+  DOWNLOAD_ERRORS,
+  classifyDownloadError
+};
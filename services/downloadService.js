@@ -0,0 +1,1169 @@
+const YTDlpWrap = require('yt-dlp-wrap').default;
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const jobStore = require('./jobStore');
+const jobQueue = require('./jobQueue');
+const usageService = require('./usageService');
+const platformRegistry = require('./platformRegistry');
+const ffmpegService = require('./ffmpegService');
+const { classifyDownloadError } = require('./downloadErrors');
+
+const ffmpegPath = require('ffmpeg-static');
+
+const ytDlpWrap = new YTDlpWrap();
+
+// Transient failures (network, rate limiting) are retried this many times; 0 turns retries off
+const configuredRetries = parseInt(process.env.DOWNLOAD_MAX_RETRIES, 10);
+const MAX_RETRIES = Number.isNaN(configuredRetries) ? 3 : Math.max(0, configuredRetries);
+
+// yt-dlp prints one machine readable line per progress tick:
+// [progress] <status> <downloaded> <total> <total estimate> <speed B/s> <eta s> <fragment> <fragments> <duration s> <title>
+// The title goes last because it may contain spaces.
+const PROGRESS_FIELDS = [
+  'status', 'downloaded_bytes', 'total_bytes', 'total_bytes_estimate',
+  'speed', 'eta', 'fragment_index', 'fragment_count'
+];
+const PROGRESS_TEMPLATE = 'download:[progress] ' +
+  PROGRESS_FIELDS.map(field => `%(progress.${field})s`).join(' ') +
+  ' %(info.duration)s %(info.title)s';
+
+// yt-dlp post-processors and the phase reported for them
+const POSTPROCESSOR_PHASES = {
+  Merger: 'merging',
+  VideoConvertor: 'recoding',
+  VideoRemuxer: 'remuxing',
+  ExtractAudio: 'extracting_audio',
+  EmbedSubtitle: 'embedding',
+  EmbedThumbnail: 'embedding',
+  Metadata: 'embedding'
+};
+
+function getPostProcessingPhase(eventType) {
+  if (POSTPROCESSOR_PHASES[eventType]) return POSTPROCESSOR_PHASES[eventType];
+  if (eventType.startsWith('Fixup')) return 'fixing';
+  return null;
+}
+
+// Maximum video height for each quality option
+const QUALITY_HEIGHTS = {
+  '360p': 360,
+  '480p': 480,
+  '720p': 720,
+  '1080p': 1080,
+  '1440p': 1440,
+  '2160p': 2160
+};
+
+// Name given to finished files; {title}, {uploader}, {date}, {id}, {format} and {quality} are filled in
+const FILENAME_TEMPLATE = process.env.DOWNLOAD_FILENAME_TEMPLATE || '{title}';
+
+// Written to a file next to the download once it is done, for the filename template.
+// yt-dlp prints it only after the final file is in place, so it also marks the download as complete.
+const METADATA_TEMPLATE = 'after_move:%(.{id,title,uploader,upload_date,filepath})j';
+
+// Subtitle files yt-dlp writes next to the media file: <name>.<language>.<format>
+const SUBTITLE_FILE = /\.([\w-]+)\.(srt|vtt|ass|ttml|srv[123]|json3)$/;
+
+// Audio-only formats: yt-dlp's --audio-format, the source streams to prefer (a matching codec,
+// e.g. AAC for m4a, is kept as it is) and whether the audio is re-encoded at a bitrate
+const AUDIO_FORMATS = {
+  mp3: { codec: 'mp3', selector: 'bestaudio/best', lossy: true },
+  m4a: { codec: 'm4a', selector: 'bestaudio[acodec^=mp4a]/bestaudio/best', lossy: true },
+  opus: { codec: 'opus', selector: 'bestaudio[acodec=opus]/bestaudio/best', lossy: true },
+  ogg: { codec: 'vorbis', selector: 'bestaudio[acodec=vorbis]/bestaudio/best', lossy: true },
+  flac: { codec: 'flac', selector: 'bestaudio/best', lossy: false },
+  wav: { codec: 'wav', selector: 'bestaudio/best', lossy: false },
+  bestaudio: { codec: 'best', selector: 'bestaudio/best', lossy: false } // original stream, no transcode
+};
+
+const DEFAULT_AUDIO_QUALITY = '192K';
+
+// yt-dlp format filters for the video codec preferences
+const CODEC_FILTERS = {
+  av1: '[vcodec^=av01]',
+  vp9: "[vcodec~='^vp0?9']",
+  h264: '[vcodec^=avc1]'
+};
+
+// Size yt-dlp reports for the selected format(s), null if any part is unknown
+function getReportedSize(info) {
+  const formats = info.requested_formats || [info];
+  let total = 0;
+
+  for (const format of formats) {
+    const size = format.filesize || format.filesize_approx;
+    if (!size) return null;
+    total += size;
+  }
+
+  return total;
+}
+
+// Height of the selected format(s), null if unknown
+function getReportedHeight(info) {
+  const heights = (info.requested_formats || [info]).map(format => format.height).filter(Boolean);
+  return heights.length > 0 ? Math.max(...heights) : null;
+}
+
+// yt-dlp prints NA for unknown template values
+function parseNumber(value) {
+  if (value === 'NA' || value === 'None') return null;
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? value : number;
+}
+
+// Turn a video title into a safe filename (without extension)
+function sanitizeFilename(title) {
+  const name = String(title || '')
+    .replace(/[\\/:*?"<>|\x00-\x1f]/g, '_')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s.]+|[\s.]+$/g, '')
+    .slice(0, 150);
+
+  return name || null;
+}
+
+// Tallest video a license may download (null when it is not limited)
+function getMaxHeight(licenseType) {
+  return QUALITY_HEIGHTS[usageService.getLicenseInfo(licenseType).max_quality] || null;
+}
+
+// yt-dlp upload date (YYYYMMDD) as YYYY-MM-DD
+function formatUploadDate(uploadDate) {
+  const match = /^(\d{4})(\d{2})(\d{2})$/.exec(uploadDate || '');
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+// Fill in a filename template; unknown values are left out
+function renderFilename(template, values) {
+  const name = template
+    .replace(/\{(\w+)\}/g, (placeholder, field) => values[field] || '')
+    .replace(/^[\s_-]+|[\s_-]+$/g, '');
+
+  return sanitizeFilename(name);
+}
+
+// The first count positions of a yt-dlp item spec ("1-5,8"), as an item spec
+function limitItems(items, count) {
+  const parts = [];
+  let left = count;
+
+  for (const part of items.split(',')) {
+    if (left === 0) break;
+
+    const [start, end = start] = part.split('-').map(Number);
+    // Ranges that count down select nothing
+    if (end < start) continue;
+
+    const last = Math.min(end, start + left - 1);
+    parts.push(last === start ? String(start) : `${start}-${last}`);
+    left -= last - start + 1;
+  }
+
+  return parts.length > 0 ? parts.join(',') : items;
+}
+
+class DownloadService {
+  constructor() {
+    this.outputDir = path.join(__dirname, '../downloads');
+    this.activeDownloads = new Map();
+    this.retryTimers = new Map();
+    // Content cache: the job downloading each cache key, and the jobs waiting for it
+    this.inFlight = new Map();
+    this.waiting = new Map();
+    this.ensureOutputDir();
+
+    jobStore.onRecover('download', job => this.recoverJob(job));
+
+    jobStore.on('updated', (job, previous) => {
+      if (!job.cacheKey || this.inFlight.get(job.cacheKey) !== job.id) return;
+      if (!jobStore.isTerminal(job.status) || jobStore.isTerminal(previous.status)) return;
+
+      this.inFlight.delete(job.cacheKey);
+      // Not from inside the job store update that is being emitted
+      setImmediate(() => this.releaseWaiting(job.cacheKey, job.id));
+    });
+  }
+
+  ensureOutputDir() {
+    if (!fs.existsSync(this.outputDir)) {
+      fs.mkdirSync(this.outputDir, { recursive: true });
+    }
+  }
+
+  // Create a download job and queue it to run in the background
+  startDownload({ url, title, format, quality, preferences, subtitles, metadata, clip = null, filenameTemplate, batchId, owner, licenseType, userId, sessionId, quota }) {
+    const jobId = uuidv4();
+
+    this.ensureOutputDir();
+
+    jobStore.create(jobId, {
+      type: 'download',
+      status: 'queued',
+      url,
+      title,
+      format,
+      quality,
+      preferences,
+      subtitles,
+      metadata,
+      clip,
+      filenameTemplate,
+      batchId,
+      userId,
+      sessionId,
+      licenseType,
+      quota,
+      cacheKey: this.getCacheKey({ url, format, quality, preferences, subtitles, metadata, clip, licenseType }),
+      progress: 0
+    });
+
+    this.enqueueDownload(jobId, { owner, licenseType });
+
+    return jobId;
+  }
+
+  // Queue (or re-queue after a transient failure) a download job
+  enqueueDownload(jobId, { owner, licenseType }) {
+    const { url, format, quality, preferences, subtitles, metadata, clip, status, cacheKey } = jobStore.get(jobId);
+
+    // Reuse a finished download of the same video and options, or wait for the one in progress
+    if (cacheKey && this.attachToCache(jobId, cacheKey, { owner, licenseType })) return;
+
+    if (status !== 'queued') {
+      jobStore.update(jobId, { status: 'queued', phase: 'queued' });
+    }
+
+    jobQueue.enqueue({
+      jobId,
+      owner,
+      licenseType,
+      run: () => this.downloadVideo(jobId, { url, format, quality, preferences, subtitles, metadata, clip })
+    })
+      .catch(error => this.handleFailure(jobId, error, { owner, licenseType }));
+  }
+
+  // Cache key of a download: the video's URL, every yt-dlp option that changes the file
+  // (format selector, conversion, subtitles, tags) and the clip, but not the per-user size limit.
+  // Downloads run with --no-playlist, so the playlist a video was opened from is left out.
+  getCacheKey({ url, format, quality, preferences, subtitles, metadata, clip = null, licenseType }) {
+    const { args } = this.buildArgs({
+      url: platformRegistry.getVideoUrl(url),
+      format, quality, preferences, subtitles, metadata, outputTemplate: '', maxHeight: getMaxHeight(licenseType)
+    });
+
+    // Clips cut with ffmpeg after the download do not show up in the arguments
+    return crypto.createHash('sha256').update(JSON.stringify({ args, clip })).digest('hex');
+  }
+
+  // Complete a job from a finished download with the same cache key, or park it until the running one ends.
+  // Returns false when the job has to download itself; it is then the in-flight download for the key.
+  attachToCache(jobId, cacheKey, queueOptions) {
+    const source = this.findCachedDownload(jobId, cacheKey);
+    if (source && this.completeFromCache(jobId, source, 'file')) return true;
+
+    const inFlightJobId = this.inFlight.get(cacheKey);
+    if (inFlightJobId && inFlightJobId !== jobId) {
+      jobStore.update(jobId, { status: 'queued', phase: 'waiting_for_duplicate' });
+      this.waiting.set(cacheKey, [...(this.waiting.get(cacheKey) || []), { jobId, queueOptions }]);
+      return true;
+    }
+
+    this.inFlight.set(cacheKey, jobId);
+    return false;
+  }
+
+  // Newest completed download with a cache key whose file is still on disk
+  findCachedDownload(jobId, cacheKey) {
+    return jobStore.list(job => job.type === 'download' && job.id !== jobId && job.cacheKey === cacheKey &&
+        job.status === 'completed' && job.outputFile && fs.existsSync(job.outputFile))
+      .sort((a, b) => b.endTime - a.endTime)[0] || null;
+  }
+
+  // Finish (or start) the jobs that waited for an in-flight download of the same content
+  releaseWaiting(cacheKey, sourceJobId) {
+    const waiting = this.waiting.get(cacheKey) || [];
+    const source = jobStore.get(sourceJobId);
+    this.waiting.delete(cacheKey);
+
+    for (const { jobId, queueOptions } of waiting) {
+      // Skip jobs cancelled while waiting
+      const job = jobStore.get(jobId);
+      if (!job || job.status !== 'queued') continue;
+
+      if (source && source.status === 'completed' && this.completeFromCache(jobId, source, 'in_flight')) continue;
+
+      // The first one downloads itself and the others wait for it
+      this.enqueueDownload(jobId, queueOptions);
+    }
+  }
+
+  // Complete a job with hard links to another job's files (copies where links are not possible).
+  // Returns false if the files cannot be used: gone, or over the job's size limit.
+  completeFromCache(jobId, source, cacheHit) {
+    const job = jobStore.get(jobId);
+    const maxFileSize = job.quota ? job.quota.maxFileSize : null;
+
+    if (maxFileSize && source.fileSize > maxFileSize) return false;
+
+    let outputFile;
+    let subtitleFiles;
+    try {
+      outputFile = this.linkCachedFile(source.outputFile, source.id, jobId);
+      subtitleFiles = (source.subtitleFiles || []).map(subtitle => ({
+        ...subtitle,
+        path: this.linkCachedFile(subtitle.path, source.id, jobId)
+      }));
+    } catch (error) {
+      console.warn(`Could not reuse download ${source.id} for job ${jobId}:`, error.message);
+      this.removeJobFiles(jobId);
+      return false;
+    }
+
+    const details = {
+      title: source.title,
+      duration: source.duration,
+      videoId: source.videoId,
+      uploader: source.uploader,
+      uploadDate: source.uploadDate
+    };
+    const now = Date.now();
+
+    jobStore.update(jobId, {
+      status: 'completed',
+      phase: 'done',
+      ...details,
+      outputFile,
+      fileSize: fs.statSync(outputFile).size,
+      subtitleFiles,
+      filename: this.getFilename({ ...job, ...details }, outputFile),
+      cacheHit,
+      cacheSourceJobId: source.id,
+      startTime: now,
+      endTime: now,
+      progress: 100,
+      errorCode: null,
+      error: null,
+      errorDetail: null
+    });
+    return true;
+  }
+
+  // Hard link one of a job's files under another job's name
+  linkCachedFile(file, sourceJobId, jobId) {
+    const target = path.join(this.outputDir, path.basename(file).replace(sourceJobId, jobId));
+
+    try {
+      fs.linkSync(file, target);
+    } catch (error) {
+      if (error.code === 'ENOENT') throw error;
+      fs.copyFileSync(file, target);
+    }
+    return target;
+  }
+
+  // Retry transient failures with exponential backoff, fail the job otherwise
+  handleFailure(jobId, error, queueOptions) {
+    const job = jobStore.get(jobId);
+
+    // A cancelled job keeps its status
+    if (!job || jobStore.isTerminal(job.status)) return;
+
+    const failure = classifyDownloadError(error);
+    const retryCount = job.retryCount || 0;
+
+    if (failure.retryable && retryCount < MAX_RETRIES) {
+      // 1x, 2x, 4x... the base delay, with jitter so retries do not line up
+      const delay = failure.baseDelay * Math.pow(2, retryCount) * (1 + Math.random() * 0.25);
+
+      console.warn(`Download job ${jobId} failed (${failure.errorCode}), retry ${retryCount + 1}/${MAX_RETRIES} in ${Math.round(delay / 1000)}s`);
+
+      jobStore.update(jobId, {
+        status: 'retrying',
+        phase: 'waiting',
+        retryCount: retryCount + 1,
+        nextRetryAt: Date.now() + delay,
+        errorCode: failure.errorCode,
+        error: failure.message,
+        errorDetail: failure.detail
+      });
+
+      this.retryTimers.set(jobId, setTimeout(() => {
+        this.retryTimers.delete(jobId);
+        this.enqueueDownload(jobId, queueOptions);
+      }, delay));
+      return;
+    }
+
+    console.error(`Download job ${jobId} failed (${failure.errorCode}):`, failure.detail);
+
+    jobStore.update(jobId, {
+      status: 'failed',
+      nextRetryAt: null,
+      errorCode: failure.errorCode,
+      error: failure.message,
+      errorDetail: failure.detail,
+      endTime: Date.now()
+    });
+  }
+
+  // Download a video with yt-dlp
+  // preferences: explicit videoFormatId/audioFormatId from /info, or codec, fps and hdr preferences,
+  // and audioBitrate or audioVbr for audio formats
+  // subtitles: languages, automatic, format and embed for subtitle tracks (optional)
+  // metadata: whether to embed tags, the thumbnail and chapters (optional)
+  // clip: { start, end, mode } in seconds to download only part of the video (optional)
+  async downloadVideo(jobId, { url, format, quality, preferences = {}, subtitles = null, metadata = null, clip = null }) {
+    const job = jobStore.update(jobId, {
+      status: 'downloading',
+      phase: 'starting',
+      startTime: Date.now(),
+      nextRetryAt: null
+    });
+    const maxFileSize = job.quota ? job.quota.maxFileSize : null;
+    const maxHeight = getMaxHeight(job.licenseType);
+    // yt-dlp downloads just the clip where it can, otherwise the whole video is cut with ffmpeg afterwards
+    const sections = Boolean(clip) && platformRegistry.canDownloadSections(url);
+
+    // Refuse files the license does not allow before fetching anything
+    if (maxFileSize || maxHeight) {
+      await this.checkSelection(jobId, url, this.getFormatSelector(format, quality, preferences), {
+        maxFileSize, maxHeight, clip: sections ? clip : null
+      });
+      if (jobStore.get(jobId).status === 'cancelled') return;
+    }
+
+    // Determine output filename (stable across retries so yt-dlp resumes .part files)
+    const timestamp = job.createdAt;
+    const outputTemplate = path.join(this.outputDir, `${jobId}-${timestamp}.%(ext)s`);
+    const metadataFile = this.getMetadataFile(job);
+
+    const { args, streams } = this.buildArgs({
+      url, format, quality, preferences, subtitles, metadata, clip, outputTemplate, metadataFile, maxFileSize, maxHeight
+    });
+
+    try {
+      await this.runYtDlp(jobId, args, streams);
+    } catch (error) {
+      throw new Error(`yt-dlp failed: ${error.message}`);
+    }
+
+    // yt-dlp exits cleanly when it is killed by a cancellation
+    if (jobStore.get(jobId).status === 'cancelled') return;
+
+    // Find the downloaded file
+    const outputFile = this.findOutputFile(jobId);
+
+    if (!outputFile) {
+      throw new Error('Downloaded file not found');
+    }
+
+    if (clip && !sections) {
+      await this.cutDownload(jobId, outputFile, clip);
+      if (jobStore.get(jobId).status === 'cancelled') return;
+    }
+
+    const fileSize = fs.statSync(outputFile).size;
+
+    // yt-dlp cannot enforce the size limit on section downloads
+    if (sections && maxFileSize && fileSize > maxFileSize) {
+      throw new Error(`File is larger than max-filesize (${fileSize} bytes > ${maxFileSize} bytes)`);
+    }
+    const details = this.readMetadata(metadataFile);
+
+    // Update job status to completed
+    jobStore.update(jobId, {
+      status: 'completed',
+      phase: 'done',
+      outputFile,
+      fileSize,
+      subtitleFiles: this.findSubtitleFiles(jobId),
+      ...details,
+      filename: this.getFilename({ ...jobStore.get(jobId), ...details }, outputFile),
+      endTime: Date.now(),
+      progress: 100,
+      errorCode: null,
+      error: null,
+      errorDetail: null
+    });
+  }
+
+  // Cut a downloaded file to a clip with ffmpeg, replacing it; cancelling the job stops ffmpeg
+  async cutDownload(jobId, outputFile, clip) {
+    const clipFile = outputFile.replace(/(\.\w+)$/, '.clip$1');
+    const abortController = new AbortController();
+
+    jobStore.update(jobId, { phase: 'cutting' });
+    this.activeDownloads.set(jobId, abortController);
+
+    try {
+      await ffmpegService.trim({ inputFile: outputFile, outputFile: clipFile, clip, signal: abortController.signal });
+      fs.renameSync(clipFile, outputFile);
+    } catch (error) {
+      if (fs.existsSync(clipFile)) fs.unlinkSync(clipFile);
+      throw error;
+    } finally {
+      this.endProcess(jobId);
+    }
+  }
+
+  // Forget a job's yt-dlp or ffmpeg process once it has exited.
+  // A cancelled job's files are removed here, when nothing can write them any more.
+  endProcess(jobId) {
+    this.activeDownloads.delete(jobId);
+
+    const job = jobStore.get(jobId);
+    if (job && job.status === 'cancelled') {
+      this.removeJobFiles(jobId);
+    }
+  }
+
+  // Ask yt-dlp what the selector picks and fail the job if it is over the license's size or quality limit.
+  // For a clip the size is estimated from its share of the video's duration.
+  async checkSelection(jobId, url, formatSelector, { maxFileSize, maxHeight, clip = null }) {
+    jobStore.update(jobId, { phase: 'checking' });
+
+    const info = await this.getVideoInfo(url, ['--format', formatSelector, ...platformRegistry.getYtDlpArgs(url)]);
+    let size = getReportedSize(info);
+
+    if (size && clip && info.duration) {
+      const end = clip.end !== null ? Math.min(clip.end, info.duration) : info.duration;
+      size = Math.round(size * Math.max(0, end - clip.start) / info.duration);
+    }
+
+    const height = getReportedHeight(info);
+
+    if (size) {
+      jobStore.update(jobId, { reportedSize: size });
+    }
+
+    if (maxHeight && height && height > maxHeight) {
+      throw new Error(`Selected format is above the maximum quality (${height}p > ${maxHeight}p)`);
+    }
+
+    if (maxFileSize && size && size > maxFileSize) {
+      throw new Error(`File is larger than max-filesize (${size} bytes > ${maxFileSize} bytes)`);
+    }
+  }
+
+  // yt-dlp's JSON description of a video. The URL goes after "--" so that a value
+  // starting with "-" is never read as an option (also in every other yt-dlp call).
+  // A watch URL with a playlist is described as its video; URLs that still list several
+  // entries (e.g. multi-video posts) print one object per line, the first one is used.
+  async getVideoInfo(url, args = []) {
+    const stdout = await ytDlpWrap.execPromise(['--no-playlist', ...args, '--dump-json', '--', url]);
+    const [first] = stdout.trim().split('\n');
+    return JSON.parse(first);
+  }
+
+  // List the entries of a playlist, channel or multi-post URL without downloading them.
+  // items is a yt-dlp item spec ("1-5,8"); at most maxItems entries are returned.
+  // A URL of a single video comes back as a one-entry list.
+  async expandPlaylist(url, { items, maxItems }) {
+    // One item more than allowed tells us whether the list was cut off
+    const stdout = await ytDlpWrap.execPromise([
+      '--flat-playlist',
+      '--dump-single-json',
+      '--playlist-items', items ? limitItems(items, maxItems + 1) : `1:${maxItems + 1}`,
+      ...platformRegistry.getYtDlpArgs(url),
+      '--', url
+    ]);
+    const info = JSON.parse(stdout);
+
+    if (!Array.isArray(info.entries)) {
+      return {
+        title: info.title || null,
+        entries: [{ url: info.webpage_url || url, title: info.title || null, index: 1 }],
+        total: 1,
+        truncated: false
+      };
+    }
+
+    // Nested playlists (e.g. channel tabs) and entries without a web URL cannot be queued
+    const entries = info.entries
+      .map((entry, i) => ({
+        url: entry && entry._type !== 'playlist' ? entry.webpage_url || entry.url : null,
+        title: entry ? entry.title || null : null,
+        index: (entry && entry.playlist_index) || i + 1
+      }))
+      .filter(entry => /^https?:\/\//.test(entry.url || ''))
+      // Same URL form as single downloads, so both share cached files
+      .map(entry => ({ ...entry, url: platformRegistry.canonicalize(entry.url) }));
+
+    return {
+      title: info.title || null,
+      entries: entries.slice(0, maxItems),
+      total: info.playlist_count || entries.length,
+      truncated: entries.length > maxItems
+    };
+  }
+
+  // Build yt-dlp command line arguments for a request.
+  // Also returns how many streams will be fetched (video + audio downloads merge two).
+  buildArgs({ url, format, quality, preferences = {}, subtitles = null, metadata = null, clip = null, outputTemplate, metadataFile, maxFileSize, maxHeight }) {
+    const args = [
+      '--output', outputTemplate,
+      '--no-playlist',
+      '--newline',
+      '--progress-template', PROGRESS_TEMPLATE,
+      '--ffmpeg-location', ffmpegPath,
+      ...platformRegistry.getYtDlpArgs(url)
+    ];
+
+    if (metadataFile) {
+      args.push('--print-to-file', METADATA_TEMPLATE, metadataFile);
+    }
+
+    // Tags become ID3 frames in MP3s, atoms in MP4s and Vorbis comments in MKV/WebM;
+    // the uploader is written as the artist
+    if (metadata) {
+      if (metadata.tags) {
+        args.push('--embed-metadata', '--no-embed-info-json');
+      }
+      if (metadata.thumbnail) {
+        args.push('--embed-thumbnail', '--convert-thumbnails', 'jpg');
+      }
+      args.push(metadata.chapters ? '--embed-chapters' : '--no-embed-chapters');
+    }
+
+    // Section downloads fetch only the clip; accurate cuts re-encode around the cut points.
+    // yt-dlp would compare the whole video's size with the limit, so it is checked afterwards instead.
+    const sections = Boolean(clip) && platformRegistry.canDownloadSections(url);
+    if (sections) {
+      args.push('--download-sections', `*${clip.start}-${clip.end !== null ? clip.end : 'inf'}`);
+      if (clip.mode === 'accurate') {
+        args.push('--force-keyframes-at-cuts');
+      }
+    }
+
+    // yt-dlp aborts when the size it sees while downloading goes over the limit
+    if (maxFileSize && !sections) {
+      args.push('--max-filesize', String(maxFileSize));
+    }
+
+    // Subtitle files are always kept, embedding adds them to the video as well
+    if (subtitles) {
+      args.push('--write-subs', '--sub-langs', subtitles.languages.join(','));
+      if (subtitles.automatic) {
+        args.push('--write-auto-subs');
+      }
+      // WebM can only hold WebVTT subtitles
+      args.push('--convert-subs', subtitles.embed && format === 'webm' ? 'vtt' : subtitles.format);
+      if (subtitles.embed && !AUDIO_FORMATS[format]) {
+        args.push('--embed-subs');
+      }
+    }
+
+    // Audio extraction: a VBR level (0 best to 10 smallest) or a bitrate for lossy formats
+    const audioFormat = AUDIO_FORMATS[format];
+    if (audioFormat) {
+      args.push(
+        '--format', this.getFormatSelector(format, quality, preferences),
+        '--extract-audio',
+        '--audio-format', audioFormat.codec
+      );
+      if (audioFormat.lossy) {
+        const { audioBitrate, audioVbr } = preferences;
+        const audioQuality = audioVbr !== undefined ? String(audioVbr) : audioBitrate;
+        args.push('--audio-quality', audioQuality ? audioQuality.toUpperCase() : DEFAULT_AUDIO_QUALITY);
+      }
+      args.push('--', url);
+      return { args, streams: 1 };
+    }
+
+    // Video download
+    const formatSelector = this.getFormatSelector(format, quality, preferences, maxHeight);
+
+    args.push('--format', formatSelector);
+
+    if (format !== 'best') {
+      if (format === 'mkv' || preferences.videoFormatId || preferences.audioFormatId || preferences.codec) {
+        // Re-encoding would throw away the chosen streams (and MKV holds any codec), so only change the container
+        args.push('--merge-output-format', format, '--remux-video', format);
+      } else {
+        args.push('--recode-video', format);
+      }
+    }
+
+    args.push('--', url);
+    return { args, streams: formatSelector.includes('+') ? 2 : 1 };
+  }
+
+  // yt-dlp format selector for a request.
+  // maxHeight caps explicitly chosen formats to the license's quality.
+  getFormatSelector(format, quality, preferences = {}, maxHeight = null) {
+    const { videoFormatId, audioFormatId, codec, fps, hdr } = preferences;
+
+    // Audio extraction picks the best (or the chosen) audio stream
+    if (AUDIO_FORMATS[format]) return audioFormatId || AUDIO_FORMATS[format].selector;
+
+    // Formats picked from /api/download/info, merged by ffmpeg
+    if (videoFormatId || audioFormatId) {
+      const heightLimit = maxHeight ? `[height<=${maxHeight}]` : '';
+
+      if (videoFormatId && audioFormatId) return `${videoFormatId}${heightLimit}+${audioFormatId}`;
+      if (videoFormatId) return `${videoFormatId}${heightLimit}+bestaudio/${videoFormatId}${heightLimit}`;
+      return audioFormatId;
+    }
+
+    const height = QUALITY_HEIGHTS[quality];
+
+    // Codec, frame rate and HDR preferences need separate video and audio streams.
+    // Streams matching every preference win, otherwise anything within the quality and fps limits.
+    if (codec || fps || hdr !== undefined) {
+      const limits = `${height ? `[height<=${height}]` : ''}${fps ? `[fps<=${fps}]` : ''}`;
+      let preferred = limits + (codec ? CODEC_FILTERS[codec] : '');
+
+      if (hdr === true) preferred += '[dynamic_range!=SDR]';
+      if (hdr === false) preferred += '[dynamic_range=?SDR]';
+
+      return `bv*${preferred}+ba/b${preferred}/bv*${limits}+ba/b${limits}`;
+    }
+
+    return height ? `best[height<=${height}]` : 'best';
+  }
+
+  // Run yt-dlp and record its real progress on the job
+  runYtDlp(jobId, args, streams) {
+    return new Promise((resolve, reject) => {
+      // Aborting kills yt-dlp together with the ffmpeg processes it started
+      const abortController = new AbortController();
+      const ytDlpEmitter = ytDlpWrap.exec(args, {}, abortController.signal);
+      let streamIndex = 0;
+      let abortMessage = null;
+      let writingSubtitles = false;
+
+      this.activeDownloads.set(jobId, abortController);
+
+      ytDlpEmitter.on('ytDlpEvent', (eventType, eventData) => {
+        const data = eventData.trim();
+
+        if (eventType === 'progress') {
+          if (!writingSubtitles) {
+            this.handleProgressLine(jobId, data, Math.max(streamIndex, 1), streams);
+          }
+        } else if (eventType === 'download' && /larger than max-filesize/i.test(data)) {
+          // yt-dlp skips the file and exits without an error
+          abortMessage = data;
+        } else if (eventType === 'download' && data.startsWith('Destination:')) {
+          // Subtitles are fetched before the media and do not count as a stream
+          writingSubtitles = SUBTITLE_FILE.test(data);
+          if (writingSubtitles) {
+            jobStore.update(jobId, { phase: 'subtitles' });
+            return;
+          }
+
+          // Each requested stream (e.g. video, then audio) gets its own destination line
+          streamIndex++;
+          jobStore.update(jobId, { phase: 'downloading', stream: { index: streamIndex, count: streams } });
+        } else {
+          const phase = getPostProcessingPhase(eventType);
+          if (phase) {
+            jobStore.update(jobId, { phase, progress: 99 });
+          }
+        }
+      });
+
+      ytDlpEmitter.on('error', error => {
+        this.endProcess(jobId);
+        reject(error);
+      });
+      ytDlpEmitter.on('close', () => {
+        this.endProcess(jobId);
+        if (abortMessage) {
+          reject(new Error(abortMessage));
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  // Parse a line printed through PROGRESS_TEMPLATE
+  handleProgressLine(jobId, line, streamIndex, streams) {
+    const parts = line.split(' ');
+    const [status, downloaded, total, totalEstimate, speed, eta, fragmentIndex, fragmentCount] =
+      parts.slice(0, PROGRESS_FIELDS.length).map(parseNumber);
+    const duration = parseNumber(parts[PROGRESS_FIELDS.length] || 'NA');
+    const title = parts.slice(PROGRESS_FIELDS.length + 1).join(' ');
+
+    if (status !== 'downloading' && status !== 'finished') return;
+
+    const totalBytes = total || totalEstimate;
+    let fraction = 0;
+
+    if (status === 'finished') {
+      fraction = 1;
+    } else if (totalBytes && downloaded !== null) {
+      fraction = Math.min(1, downloaded / totalBytes);
+    } else if (fragmentCount && fragmentIndex !== null) {
+      fraction = Math.min(1, fragmentIndex / fragmentCount);
+    }
+
+    // 100% is only reported once post-processing is done and the file is in place
+    const overall = ((streamIndex - 1) + fraction) / streams;
+
+    jobStore.update(jobId, {
+      phase: 'downloading',
+      title: title && title !== 'NA' ? title : jobStore.get(jobId).title,
+      duration: typeof duration === 'number' ? duration : jobStore.get(jobId).duration,
+      progress: Math.min(99, Math.floor(overall * 100)),
+      transfer: {
+        downloadedBytes: downloaded,
+        totalBytes,
+        totalBytesEstimated: !total && Boolean(totalEstimate),
+        speed,
+        eta,
+        fragmentIndex,
+        fragmentCount
+      }
+    });
+  }
+
+  // Find the finished file for a job (ignores yt-dlp partial/temp files)
+  findOutputFile(jobId) {
+    const files = fs.readdirSync(this.outputDir).filter(file => {
+      const filePath = path.join(this.outputDir, file);
+      return file.includes(jobId) &&
+        !/\.(part|ytdl|temp)$/.test(file) &&
+        !/\.part-Frag\d+/.test(file) &&
+        !SUBTITLE_FILE.test(file) &&
+        // Thumbnails and the metadata file are not the download
+        !/\.(jpe?g|png|webp|json)$/.test(file) &&
+        fs.statSync(filePath).isFile();
+    });
+
+    return files.length > 0 ? path.join(this.outputDir, files[0]) : null;
+  }
+
+  // Metadata file yt-dlp prints for a job once its download is complete
+  getMetadataFile(job) {
+    return path.join(this.outputDir, `${job.id}-${job.createdAt}.meta.json`);
+  }
+
+  // The last details yt-dlp printed to a metadata file, null if it printed none
+  readMetadataLine(metadataFile) {
+    try {
+      // yt-dlp appends, so a retried download has one line per attempt
+      const lines = fs.readFileSync(metadataFile, 'utf8').trim().split('\n');
+      return JSON.parse(lines[lines.length - 1]);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Read the details yt-dlp printed for a download (empty if it printed none) and delete the file
+  readMetadata(metadataFile) {
+    const info = this.readMetadataLine(metadataFile);
+    if (!info) return {};
+
+    fs.rmSync(metadataFile, { force: true });
+
+    const details = {
+      videoId: info.id || null,
+      uploader: info.uploader || null,
+      uploadDate: formatUploadDate(info.upload_date)
+    };
+    if (info.title) details.title = info.title;
+
+    return details;
+  }
+
+  // Readable name for a finished file from the job's (or the server's) filename template
+  getFilename(job, outputFile) {
+    const ext = path.extname(outputFile);
+    const name = renderFilename(job.filenameTemplate || FILENAME_TEMPLATE, {
+      title: job.title,
+      uploader: job.uploader,
+      date: job.uploadDate,
+      id: job.videoId,
+      format: job.format,
+      quality: job.quality
+    });
+
+    return `${name || path.basename(outputFile, ext)}${ext}`;
+  }
+
+  // Find the subtitle files written for a job
+  findSubtitleFiles(jobId) {
+    return fs.readdirSync(this.outputDir)
+      .filter(file => file.includes(jobId))
+      .map(file => ({ file, match: file.match(SUBTITLE_FILE) }))
+      .filter(({ match }) => match)
+      .map(({ file, match }) => ({
+        language: match[1],
+        format: match[2],
+        path: path.join(this.outputDir, file)
+      }));
+  }
+
+  // Get one of a completed job's subtitle files by language
+  getSubtitleFile(jobId, language) {
+    const job = this.getJob(jobId);
+    const subtitle = job && (job.subtitleFiles || []).find(file => file.language === language);
+    return subtitle && fs.existsSync(subtitle.path) ? subtitle : null;
+  }
+
+  // Cancel a queued or running download.
+  // Returns null if the job does not exist, otherwise whether it was cancelled.
+  async cancelJob(jobId) {
+    const job = this.getJob(jobId);
+    if (!job) return null;
+
+    if (jobStore.isTerminal(job.status)) {
+      return { cancelled: false, job };
+    }
+
+    const cancelledJob = jobStore.update(jobId, {
+      status: 'cancelled',
+      phase: 'cancelled',
+      endTime: Date.now()
+    });
+
+    // Stop the job wherever it is
+    jobQueue.remove(jobId);
+    clearTimeout(this.retryTimers.get(jobId));
+    this.retryTimers.delete(jobId);
+    // A running process may write until it exits, endProcess removes the files then
+    const abortController = this.activeDownloads.get(jobId);
+    if (abortController) {
+      abortController.abort();
+    } else {
+      this.removeJobFiles(jobId);
+    }
+
+    return { cancelled: true, job: cancelledJob };
+  }
+
+  // Cancel every unfinished download in a batch (null if the batch is unknown).
+  // canAccess(job) limits the batch to jobs the caller owns.
+  async cancelBatch(batchId, canAccess = () => true) {
+    const jobs = this.getBatchJobs(batchId, canAccess);
+    if (jobs.length === 0) return null;
+
+    const cancelledJobIds = [];
+    for (const job of jobs) {
+      const result = await this.cancelJob(job.id);
+      if (result && result.cancelled) {
+        cancelledJobIds.push(job.id);
+      }
+    }
+
+    return { batchId, cancelledJobIds };
+  }
+
+  // Aggregate status and progress of the downloads in a batch (null if the batch is unknown).
+  // canAccess(job) limits the batch to jobs the caller owns.
+  getBatchStatus(batchId, canAccess = () => true) {
+    const jobs = this.getBatchJobs(batchId, canAccess);
+    if (jobs.length === 0) return null;
+
+    const counts = {};
+    for (const job of jobs) {
+      counts[job.status] = (counts[job.status] || 0) + 1;
+    }
+
+    const finished = jobs.filter(job => jobStore.isTerminal(job.status)).length;
+    const completed = counts.completed || 0;
+
+    let status = 'in_progress';
+    if (finished === jobs.length) {
+      if (completed === jobs.length) {
+        status = 'completed';
+      } else if (completed > 0) {
+        status = 'partial';
+      } else {
+        status = counts.cancelled === jobs.length ? 'cancelled' : 'failed';
+      }
+    } else if ((counts.queued || 0) === jobs.length) {
+      status = 'queued';
+    }
+
+    // Finished jobs count as done whether or not they succeeded
+    const progress = jobs.reduce((sum, job) => {
+      return sum + (jobStore.isTerminal(job.status) ? 100 : (job.progress || 0));
+    }, 0) / jobs.length;
+
+    return {
+      batchId,
+      status,
+      progress: Math.floor(progress),
+      total: jobs.length,
+      counts,
+      archiveUrl: completed > 0 ? `/api/download/batch/${batchId}/archive` : undefined,
+      jobs: jobs.map(job => ({
+        jobId: job.id,
+        url: job.url,
+        title: job.title,
+        ...this.getProgress(job.id)
+      }))
+    };
+  }
+
+  // Completed files of a batch with unique, readable names for an archive
+  getBatchFiles(batchId, canAccess = () => true) {
+    const usedNames = new Set();
+    const files = [];
+
+    for (const job of this.getBatchJobs(batchId, canAccess)) {
+      if (job.status !== 'completed' || !job.outputFile || !fs.existsSync(job.outputFile)) continue;
+
+      const ext = path.extname(job.outputFile);
+      const baseName = (job.filename && path.basename(job.filename, ext)) ||
+        sanitizeFilename(job.title) || path.basename(job.outputFile, ext);
+
+      // Add " (2)", " (3)"... when several videos share a title
+      let name = `${baseName}${ext}`;
+      for (let copy = 2; usedNames.has(name.toLowerCase()); copy++) {
+        name = `${baseName} (${copy})${ext}`;
+      }
+      usedNames.add(name.toLowerCase());
+
+      files.push({ jobId: job.id, path: job.outputFile, name });
+
+      // Subtitles keep the video's name: "Title.en.srt"
+      for (const subtitle of job.subtitleFiles || []) {
+        if (!fs.existsSync(subtitle.path)) continue;
+        files.push({
+          jobId: job.id,
+          path: subtitle.path,
+          name: `${path.basename(name, ext)}.${subtitle.language}.${subtitle.format}`
+        });
+      }
+    }
+
+    return files;
+  }
+
+  // Download jobs of a batch in the order they were created
+  getBatchJobs(batchId, canAccess) {
+    return jobStore.list(job => job.type === 'download' && job.batchId === batchId && canAccess(job))
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  // Delete every file (finished, partial or temporary) written for a job
+  removeJobFiles(jobId) {
+    if (!fs.existsSync(this.outputDir)) return;
+
+    for (const file of fs.readdirSync(this.outputDir)) {
+      if (file.includes(jobId)) {
+        fs.rmSync(path.join(this.outputDir, file), { force: true, recursive: true });
+      }
+    }
+  }
+
+  // Recover a download that was running when the server stopped
+  recoverJob(job) {
+    // yt-dlp may have finished writing the file before the status was saved
+    const outputFile = this.findCompletedFile(job);
+
+    if (outputFile) {
+      const details = this.readMetadata(this.getMetadataFile(job));
+
+      return {
+        status: 'completed',
+        outputFile,
+        fileSize: fs.statSync(outputFile).size,
+        subtitleFiles: this.findSubtitleFiles(job.id),
+        ...details,
+        filename: this.getFilename({ ...job, ...details }, outputFile),
+        progress: 100,
+        error: null
+      };
+    }
+
+    // The URL is all that is needed to start the download over
+    return { resumable: Boolean(job.url) };
+  }
+
+  // The final file of a download that was interrupted after yt-dlp finished, or null.
+  // Only the file named in the completion marker counts: other files of the job may be
+  // unmerged streams (.f137.mp4, .f140.m4a) or leftovers of an unfinished download.
+  // Clips cut with ffmpeg are not done when yt-dlp is, so those downloads start over.
+  findCompletedFile(job) {
+    if (job.clip && !platformRegistry.canDownloadSections(job.url)) return null;
+
+    const info = this.readMetadataLine(this.getMetadataFile(job));
+    if (!info || !info.filepath) return null;
+
+    const outputFile = path.resolve(info.filepath);
+    const isJobFile = path.dirname(outputFile) === path.resolve(this.outputDir) &&
+      path.basename(outputFile).startsWith(`${job.id}-`);
+
+    return isJobFile && fs.existsSync(outputFile) ? outputFile : null;
+  }
+
+  // Get download progress in the shape returned by the progress endpoint
+  getProgress(jobId) {
+    const job = jobStore.get(jobId);
+
+    if (!job || job.type !== 'download') return null;
+
+    const progress = {
+      progress: job.progress || 0,
+      status: job.status,
+      phase: job.phase,
+      queuePosition: jobQueue.getPosition(jobId),
+      transfer: job.transfer,
+      retryCount: job.retryCount || 0,
+      nextRetryAt: job.nextRetryAt,
+      errorCode: job.errorCode,
+      error: job.error
+    };
+
+    // Add download URL and filename when completed
+    if (job.status === 'completed' && job.outputFile) {
+      progress.downloadUrl = `/api/download/file/${jobId}`;
+      progress.filename = job.filename || path.basename(job.outputFile);
+      progress.fileSize = job.fileSize;
+
+      // "file" when an earlier download was reused, "in_flight" when the job waited for a running one
+      if (job.cacheHit) {
+        progress.cacheHit = job.cacheHit;
+      }
+
+      if (job.subtitleFiles && job.subtitleFiles.length > 0) {
+        progress.subtitles = job.subtitleFiles.map(({ language, format }) => ({
+          language,
+          format,
+          downloadUrl: `/api/download/file/${jobId}/subtitles/${encodeURIComponent(language)}`
+        }));
+      }
+    }
+
+    return progress;
+  }
+
+  // Get a download job
+  getJob(jobId) {
+    const job = jobStore.get(jobId);
+    return job && job.type === 'download' ? job : null;
+  }
+
+  // Clean up old downloads
+  cleanup(maxAge = 24 * 60 * 60 * 1000) { // 24 hours default
+    const now = Date.now();
+
+    for (const job of jobStore.list(job => job.type === 'download')) {
+      if (job.endTime && (now - job.endTime) > maxAge) {
+        // Delete the file and any subtitles written next to it
+        this.removeJobFiles(job.id);
+
+        // Remove from tracking
+        jobStore.remove(job.id);
+      }
+    }
+  }
+}
+
+// Create singleton instance
+const downloadService = new DownloadService();
+
+// Schedule cleanup every hour
+setInterval(() => {
+  downloadService.cleanup();
+}, 60 * 60 * 1000);
+
+module.exports = downloadService;
@@ -1,7 +1,11 @@
 const ffmpeg = require('fluent-ffmpeg');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const jobStore = require('./jobStore');
+const jobQueue = require('./jobQueue');
+const usageService = require('./usageService');
 
 // Set FFmpeg and FFprobe paths
 const ffmpegPath = require('ffmpeg-static');
@@ -10,14 +14,97 @@ const ffprobePath = require('ffprobe-static').path;
 ffmpeg.setFfmpegPath(ffmpegPath);
 ffmpeg.setFfprobePath(ffprobePath);
 
-// Job tracking
-const jobs = new Map();
-const progressTracking = new Map();
+// Job types handled by this service
+const CONVERSION_TYPES = ['video_conversion', 'audio_extraction', 'animation', 'thumbnails', 'stream'];
+
+// Animated image formats and their file extensions
+const ANIMATION_EXTENSIONS = {
+  gif: 'gif',
+  webp: 'webp',
+  apng: 'png'
+};
+
+// Encodes tried before giving up on an animation's maxSize, and how far they may scale it down
+const MAX_ANIMATION_ATTEMPTS = 4;
+const MIN_ANIMATION_WIDTH = 64;
+const MIN_ANIMATION_FPS = 5;
+
+// Scene changes the "best" poster frame is picked from, and how different a frame has to be to count as one
+const POSTER_CANDIDATES = 20;
+const SCENE_THRESHOLD = 0.3;
+
+// Most frames in one sprite sheet; longer videos get a longer interval
+const MAX_SPRITE_FRAMES = 200;
+
+// Adaptive streaming renditions, lowest first (bitrates as for video conversions).
+// A ladder has every rendition up to the license's max quality that is not taller than the input.
+const STREAM_LADDER = [
+  { quality: '360p', height: 360, videoBitrate: 600, audioBitrate: '96k' },
+  { quality: '480p', height: 480, videoBitrate: 1000, audioBitrate: '128k' },
+  { quality: '720p', height: 720, videoBitrate: 2500, audioBitrate: '128k' },
+  { quality: '1080p', height: 1080, videoBitrate: 5000, audioBitrate: '192k' },
+  { quality: '1440p', height: 1440, videoBitrate: 8000, audioBitrate: '192k' },
+  { quality: '2160p', height: 2160, videoBitrate: 15000, audioBitrate: '192k' }
+];
+
+// Encoder options for still images
+const IMAGE_OPTIONS = {
+  jpg: ['-q:v', '3'],
+  png: [],
+  webp: ['-quality', '80']
+};
+
+// Convert an ffmpeg timemark (HH:MM:SS.ss) to seconds
+function parseTimemark(timemark) {
+  if (!timemark || typeof timemark !== 'string') return null;
+
+  const seconds = timemark.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+  return Number.isNaN(seconds) ? null : seconds;
+}
+
+// Limit a command's input to a clip ({ start, end } in seconds, end null for the rest of the input).
+// Seeking on the input is fast and, when the output is re-encoded, frame-accurate.
+function applyClip(command, clip) {
+  if (!clip) return command;
+
+  command = command.seekInput(clip.start);
+  if (clip.end !== null) {
+    command = command.duration(clip.end - clip.start);
+  }
+  return command;
+}
+
+// Limit a re-encoding conversion to a clip ({ start, end, mode }). Both modes start on the exact frame
+// for well-formed inputs; accurate decodes from the beginning and drops everything before start
+// instead of seeking, for inputs with missing or broken seek indexes.
+function applyConversionClip(command, clip) {
+  if (!clip || clip.mode !== 'accurate') return applyClip(command, clip);
+
+  command = command.seek(clip.start);
+  if (clip.end !== null) {
+    command = command.duration(clip.end - clip.start);
+  }
+  return command;
+}
+
+// WebVTT timestamp (HH:MM:SS.mmm) for seconds
+function formatVttTime(seconds) {
+  return new Date(Math.round(seconds * 1000)).toISOString().slice(11, 23);
+}
+
+// Length of a clip of an input, null while the input's duration is unknown
+function getClipDuration(clip, inputDuration) {
+  const end = clip.end !== null ? clip.end : inputDuration;
+  return end === null || end === undefined ? null : Math.max(0, end - clip.start);
+}
 
 class FFmpegService {
   constructor() {
     this.outputDir = path.join(__dirname, '../output');
+    this.activeCommands = new Map();
     this.ensureOutputDir();
+
+    jobStore.onRecover(CONVERSION_TYPES, job => this.recoverJob(job));
   }
 
   ensureOutputDir() {
@@ -26,29 +113,45 @@ class FFmpegService {
     }
   }
 
+  // Queue a job already in the job store; run() does the work once the job gets a slot.
+  // Errors thrown before ffmpeg starts (e.g. while probing the input) still end up on the job.
+  startJob(jobId, { owner, licenseType }, run) {
+    return jobQueue.enqueue({ jobId, owner, licenseType, run }).catch(error => {
+      this.markFailed(jobId, error);
+      throw error;
+    });
+  }
+
   // Convert video format and quality
-  async convertVideo({ inputFile, format, quality, codec, jobId }) {
-    return new Promise((resolve, reject) => {
-      const outputFile = path.join(this.outputDir, `${jobId}.${format}`);
-      
-      // Initialize job tracking
-      jobs.set(jobId, {
-        status: 'processing',
-        inputFile,
-        outputFile,
-        startTime: Date.now(),
-        type: 'video_conversion'
-      });
-      
-      progressTracking.set(jobId, {
+  // clip: { start, end, mode } in seconds to convert only part of the input (optional)
+  async convertVideo({ inputFile, title, format, quality, codec, clip = null, jobId, owner, licenseType, userId, sessionId, quota }) {
+    const outputFile = path.join(this.outputDir, `${jobId}.${format}`);
+    
+    // Initialize job tracking
+    jobStore.create(jobId, {
+      status: 'queued',
+      inputFile,
+      outputFile,
+      type: 'video_conversion',
+      title,
+      format,
+      quality,
+      clip,
+      userId,
+      sessionId,
+      licenseType,
+      quota,
+      progress: {
         percent: 0,
         currentFps: 0,
         currentKbps: 0,
         targetSize: 0,
         timemark: '00:00:00.00'
-      });
+      }
+    });
 
-      let command = ffmpeg(inputFile)
+    return this.startJob(jobId, { owner, licenseType }, () => {
+      let command = applyConversionClip(ffmpeg(inputFile), clip)
         .output(outputFile)
         .videoCodec(codec || 'libx264')
         .format(format);
@@ -75,67 +178,43 @@ class FFmpegService {
           break;
       }
 
-      // Add progress tracking
-      command.on('progress', (progress) => {
-        progressTracking.set(jobId, {
-          percent: Math.round(progress.percent || 0),
-          currentFps: progress.currentFps || 0,
-          currentKbps: progress.currentKbps || 0,
-          targetSize: progress.targetSize || 0,
-          timemark: progress.timemark || '00:00:00.00'
-        });
-      });
-
-      command.on('end', () => {
-        jobs.set(jobId, {
-          ...jobs.get(jobId),
-          status: 'completed',
-          endTime: Date.now()
-        });
-        
-        progressTracking.set(jobId, {
-          ...progressTracking.get(jobId),
-          percent: 100
-        });
-        
-        resolve({ outputFile, jobId });
-      });
-
-      command.on('error', (err) => {
-        jobs.set(jobId, {
-          ...jobs.get(jobId),
-          status: 'failed',
-          error: err.message,
-          endTime: Date.now()
-        });
-        
-        reject(err);
-      });
-
-      command.run();
+      return this.runCommand(jobId, command, progress => ({
+        percent: Math.round(progress.percent || 0),
+        currentFps: progress.currentFps || 0,
+        currentKbps: progress.currentKbps || 0,
+        targetSize: progress.targetSize || 0,
+        timemark: progress.timemark || '00:00:00.00'
+      }));
     });
   }
 
   // Extract audio from video
-  async extractAudio({ inputFile, format, bitrate, jobId }) {
-    return new Promise((resolve, reject) => {
-      const outputFile = path.join(this.outputDir, `${jobId}.${format}`);
-      
-      jobs.set(jobId, {
-        status: 'processing',
-        inputFile,
-        outputFile,
-        startTime: Date.now(),
-        type: 'audio_extraction'
-      });
-      
-      progressTracking.set(jobId, {
+  // clip: { start, end, mode } in seconds to extract only part of the input (optional)
+  async extractAudio({ inputFile, title, format, bitrate, clip = null, jobId, owner, licenseType, userId, sessionId, quota }) {
+    const outputFile = path.join(this.outputDir, `${jobId}.${format}`);
+    
+    jobStore.create(jobId, {
+      status: 'queued',
+      inputFile,
+      outputFile,
+      type: 'audio_extraction',
+      title,
+      format,
+      bitrate,
+      clip,
+      userId,
+      sessionId,
+      licenseType,
+      quota,
+      progress: {
         percent: 0,
         currentKbps: 0,
         timemark: '00:00:00.00'
-      });
+      }
+    });
 
-      let command = ffmpeg(inputFile)
+    return this.startJob(jobId, { owner, licenseType }, () => {
+      let command = applyConversionClip(ffmpeg(inputFile), clip)
         .output(outputFile)
         .noVideo()
         .audioBitrate(bitrate || '192k')
@@ -162,37 +241,587 @@ class FFmpegService {
           break;
       }
 
-      command.on('progress', (progress) => {
-        progressTracking.set(jobId, {
-          percent: Math.round(progress.percent || 0),
-          currentKbps: progress.currentKbps || 0,
+      return this.runCommand(jobId, command, progress => ({
+        percent: Math.round(progress.percent || 0),
+        currentKbps: progress.currentKbps || 0,
+        timemark: progress.timemark || '00:00:00.00'
+      }));
+    });
+  }
+
+  // Create an animated GIF, WebP or APNG from part of a video.
+  // GIFs are encoded in two passes: palettegen builds a palette for the clip, paletteuse maps the frames to it.
+  // options: start and duration (seconds), fps, width, loop (times to play, 0 forever), dither (GIF only)
+  // and maxSize (bytes; the animation is re-encoded smaller until it fits).
+  async createAnimation({ inputFile, title, format, options, sourceJobId, jobId, owner, licenseType, userId, sessionId, quota }) {
+    const outputFile = path.join(this.outputDir, `${jobId}.${ANIMATION_EXTENSIONS[format]}`);
+
+    jobStore.create(jobId, {
+      status: 'queued',
+      inputFile,
+      outputFile,
+      type: 'animation',
+      title,
+      format,
+      options,
+      sourceJobId,
+      userId,
+      sessionId,
+      licenseType,
+      quota,
+      duration: options.duration,
+      progress: {
+        percent: 0,
+        pass: 1,
+        attempt: 1,
+        timemark: '00:00:00.00'
+      }
+    });
+
+    return this.startJob(jobId, { owner, licenseType }, () => this.encodeAnimation(jobId));
+  }
+
+  // Encode an animation job, shrinking it until it fits its maxSize
+  async encodeAnimation(jobId) {
+    const { inputFile, outputFile, format, options } = jobStore.get(jobId);
+    const paletteFile = path.join(this.outputDir, `${jobId}.palette.png`);
+    const passes = format === 'gif' ? 2 : 1;
+    let { width, fps } = options;
+
+    jobStore.update(jobId, {
+      status: 'processing',
+      startTime: Date.now()
+    });
+
+    try {
+      for (let attempt = 1; ; attempt++) {
+        const filters = `fps=${fps},scale=${width}:-1:flags=lanczos`;
+        const source = ffmpeg(inputFile).seekInput(options.start).duration(options.duration);
+        const onProgress = pass => progress => ({
+          percent: Math.min(100, Math.round((pass - 1 + parseTimemark(progress.timemark) / options.duration) / passes * 100)),
+          pass,
+          attempt,
           timemark: progress.timemark || '00:00:00.00'
         });
+
+        if (format === 'gif') {
+          // Pass 1: a palette of the colours that change between frames
+          await this.runPass(jobId, ffmpeg(inputFile)
+            .seekInput(options.start)
+            .duration(options.duration)
+            .videoFilters(`${filters},palettegen=stats_mode=diff`)
+            .frames(1)
+            .output(paletteFile), onProgress(1));
+
+          // Pass 2: the frames mapped to that palette; only changed rectangles are re-dithered
+          const bayerScale = options.dither === 'bayer' ? ':bayer_scale=3' : '';
+          await this.runPass(jobId, source
+            .input(paletteFile)
+            .complexFilter(`[0:v]${filters}[frames];[frames][1:v]paletteuse=dither=${options.dither}${bayerScale}:diff_mode=rectangle`)
+            .outputOptions('-loop', String(options.loop === 1 ? -1 : Math.max(0, options.loop - 1)))
+            .noAudio()
+            .output(outputFile), onProgress(2));
+        } else {
+          const formatOptions = format === 'webp'
+            ? ['-c:v', 'libwebp', '-quality', '75', '-loop', String(options.loop)]
+            : ['-f', 'apng', '-plays', String(options.loop)];
+
+          await this.runPass(jobId, source
+            .videoFilters(filters)
+            .outputOptions(formatOptions)
+            .noAudio()
+            .output(outputFile), onProgress(1));
+        }
+
+        // Cancelled while encoding
+        if (jobStore.isTerminal(jobStore.get(jobId).status)) return null;
+
+        const fileSize = fs.statSync(outputFile).size;
+
+        if (!options.maxSize || fileSize <= options.maxSize) {
+          const job = jobStore.update(jobId, {
+            status: 'completed',
+            fileSize,
+            width,
+            fps,
+            endTime: Date.now(),
+            progress: {
+              ...jobStore.get(jobId).progress,
+              percent: 100
+            }
+          });
+          return { outputFile: job.outputFile, jobId };
+        }
+
+        if (attempt === MAX_ANIMATION_ATTEMPTS || (width === MIN_ANIMATION_WIDTH && fps === MIN_ANIMATION_FPS)) {
+          throw new Error(`Animation is larger than maxSize (${fileSize} bytes > ${options.maxSize} bytes) at ${width}px and ${fps} fps`);
+        }
+
+        // Size grows with the pixels per frame and the number of frames; aim a bit below the limit
+        const ratio = (options.maxSize / fileSize) * 0.9;
+        width = Math.max(MIN_ANIMATION_WIDTH, Math.floor(width * Math.sqrt(ratio) / 2) * 2);
+        fps = Math.max(MIN_ANIMATION_FPS, Math.round(fps * Math.max(ratio, 0.8)));
+      }
+    } catch (error) {
+      this.markFailed(jobId, error);
+
+      // An encode over maxSize is not a result
+      if (fs.existsSync(outputFile)) {
+        fs.unlinkSync(outputFile);
+      }
+      throw error;
+    } finally {
+      if (fs.existsSync(paletteFile)) {
+        fs.unlinkSync(paletteFile);
+      }
+    }
+  }
+
+  // Create still images from a video in their own directory:
+  // - poster: one frame at options.at (seconds) or, for "best", the most representative scene change
+  // - thumbnails: options.count frames spread evenly over the video
+  // - sprite: a sheet of a frame every options.interval seconds in options.columns columns,
+  //   with a WebVTT track pointing each time range at its tile (for seek previews)
+  // options.width and options.format (jpg, png or webp) apply to every image.
+  async createThumbnails({ inputFile, title, mode, options, sourceJobId, jobId, owner, licenseType, userId, sessionId, quota }) {
+    jobStore.create(jobId, {
+      status: 'queued',
+      inputFile,
+      outputDir: path.join(this.outputDir, jobId),
+      fileToken: crypto.randomBytes(16).toString('hex'),
+      type: 'thumbnails',
+      title,
+      mode,
+      format: options.format,
+      options,
+      sourceJobId,
+      userId,
+      sessionId,
+      licenseType,
+      quota,
+      progress: {
+        percent: 0,
+        timemark: '00:00:00.00'
+      }
+    });
+
+    return this.startJob(jobId, { owner, licenseType }, () => this.renderThumbnails(jobId));
+  }
+
+  // Render the images of a thumbnails job
+  async renderThumbnails(jobId) {
+    const { inputFile, outputDir, mode, options } = jobStore.get(jobId);
+
+    jobStore.update(jobId, {
+      status: 'processing',
+      startTime: Date.now()
+    });
+
+    try {
+      const info = await this.getFileInfo(inputFile);
+      const video = info.streams.find(stream => stream.type === 'video');
+      const duration = Number(info.duration) || null;
+
+      if (!video || !video.width || !video.height) {
+        throw new Error('Input has no video stream');
+      }
+
+      // Even height with the input's aspect ratio, so sprite tiles have a known size
+      const width = options.width;
+      const height = Math.max(2, Math.round(width * video.height / video.width / 2) * 2);
+      const size = { width, height, duration };
+
+      jobStore.update(jobId, { duration, width, height });
+      fs.mkdirSync(outputDir, { recursive: true });
+
+      let result;
+      if (mode === 'sprite') {
+        result = await this.renderSprite(jobId, inputFile, outputDir, options, size);
+      } else if (mode === 'thumbnails') {
+        result = await this.renderFrames(jobId, inputFile, outputDir, options, size);
+      } else {
+        result = await this.renderPoster(jobId, inputFile, outputDir, options, size);
+      }
+
+      // Cancelled while rendering
+      if (jobStore.isTerminal(jobStore.get(jobId).status)) return null;
+
+      const job = jobStore.update(jobId, {
+        status: 'completed',
+        ...result,
+        fileSize: result.files.reduce((total, name) => total + fs.statSync(path.join(outputDir, name)).size, 0),
+        endTime: Date.now(),
+        progress: {
+          ...jobStore.get(jobId).progress,
+          percent: 100
+        }
+      });
+      return { outputFile: job.outputFile, jobId };
+    } catch (error) {
+      this.markFailed(jobId, error);
+      fs.rmSync(outputDir, { recursive: true, force: true });
+      throw error;
+    }
+  }
+
+  // One frame at a time, or the most representative of the first scene changes for "best"
+  async renderPoster(jobId, inputFile, outputDir, options, { width, height, duration }) {
+    const name = `poster.${options.format}`;
+    const outputFile = path.join(outputDir, name);
+    const scale = `scale=${width}:${height}`;
+
+    const grab = (at, filters) => this.runPass(jobId, ffmpeg(inputFile)
+      .seekInput(at)
+      .videoFilters(filters)
+      .frames(1)
+      .outputOptions('-vsync', 'vfr', ...IMAGE_OPTIONS[options.format])
+      .output(outputFile), progress => ({
+      percent: duration ? Math.min(99, Math.round((parseTimemark(progress.timemark) / duration) * 100)) : 0,
+      timemark: progress.timemark || '00:00:00.00'
+    }));
+
+    if (options.at === 'best') {
+      await grab(0, `select='gt(scene,${SCENE_THRESHOLD})',thumbnail=${POSTER_CANDIDATES},${scale}`);
+
+      // Cancelled during the scene search; renderThumbnails sees the status
+      if (jobStore.get(jobId).status === 'cancelled') {
+        return { outputFile, files: [name] };
+      }
+
+      // Videos without cuts have no scene changes
+      if (!fs.existsSync(outputFile)) {
+        await grab(duration ? duration * 0.1 : 0, scale);
+      }
+    } else {
+      await grab(options.at, scale);
+    }
+
+    if (!fs.existsSync(outputFile)) {
+      throw new Error(`No frame at ${options.at === 'best' ? 'the start' : `${options.at}s`}, the video is ${duration}s long`);
+    }
+
+    return { outputFile, files: [name] };
+  }
+
+  // options.count frames, each in the middle of an equal part of the video
+  async renderFrames(jobId, inputFile, outputDir, options, { width, height, duration }) {
+    if (!duration) {
+      throw new Error('Input duration is unknown');
+    }
+
+    const interval = duration / options.count;
+
+    await this.runPass(jobId, ffmpeg(inputFile)
+      .seekInput(interval / 2)
+      .videoFilters(`fps=1/${interval},scale=${width}:${height}`)
+      .frames(options.count)
+      .outputOptions(IMAGE_OPTIONS[options.format])
+      .output(path.join(outputDir, `thumbnail-%03d.${options.format}`)), progress => ({
+      percent: Math.min(99, Math.round((parseTimemark(progress.timemark) / duration) * 100)),
+      timemark: progress.timemark || '00:00:00.00'
+    }));
+
+    const files = fs.readdirSync(outputDir).filter(name => name.startsWith('thumbnail-')).sort();
+    if (files.length === 0) {
+      throw new Error('No thumbnails were created');
+    }
+
+    return { outputFile: null, files };
+  }
+
+  // A frame every interval seconds tiled into one image, and the WebVTT track for it
+  async renderSprite(jobId, inputFile, outputDir, options, { width, height, duration }) {
+    if (!duration) {
+      throw new Error('Input duration is unknown');
+    }
+
+    const interval = Math.max(options.interval, duration / MAX_SPRITE_FRAMES);
+    const count = Math.ceil(duration / interval);
+    const columns = Math.min(options.columns, count);
+    const rows = Math.ceil(count / columns);
+    const spriteName = `sprite.${options.format}`;
+    const outputFile = path.join(outputDir, spriteName);
+
+    await this.runPass(jobId, ffmpeg(inputFile)
+      .videoFilters(`fps=1/${interval},scale=${width}:${height},tile=${columns}x${rows}`)
+      .frames(1)
+      .outputOptions(IMAGE_OPTIONS[options.format])
+      .output(outputFile), progress => ({
+      percent: Math.min(99, Math.round((parseTimemark(progress.timemark) / duration) * 100)),
+      timemark: progress.timemark || '00:00:00.00'
+    }));
+
+    if (!fs.existsSync(outputFile)) {
+      throw new Error('Sprite sheet was not created');
+    }
+
+    // Tile positions are relative to the sprite, which is served next to the track
+    const cues = [];
+    for (let i = 0; i < count; i++) {
+      const x = (i % columns) * width;
+      const y = Math.floor(i / columns) * height;
+      cues.push(`${formatVttTime(i * interval)} --> ${formatVttTime(Math.min((i + 1) * interval, duration))}\n${spriteName}#xywh=${x},${y},${width},${height}`);
+    }
+    fs.writeFileSync(path.join(outputDir, 'thumbnails.vtt'), `WEBVTT\n\n${cues.join('\n\n')}\n`);
+
+    return { outputFile, files: [spriteName, 'thumbnails.vtt'], interval, columns, rows };
+  }
+
+  // Package a video for in-browser playback as an HLS rendition ladder in its own directory.
+  // With options.dash the renditions are CMAF (fragmented MP4) segments shared by a DASH manifest
+  // and the HLS playlists; otherwise they are MPEG-TS segments for HLS only.
+  // options.segmentDuration is the segment length in seconds.
+  async createStream({ inputFile, title, options, sourceJobId, jobId, owner, licenseType, userId, sessionId, quota }) {
+    jobStore.create(jobId, {
+      status: 'queued',
+      inputFile,
+      outputDir: path.join(this.outputDir, jobId),
+      fileToken: crypto.randomBytes(16).toString('hex'),
+      type: 'stream',
+      title,
+      format: options.dash ? 'dash' : 'hls',
+      options,
+      sourceJobId,
+      userId,
+      sessionId,
+      licenseType,
+      quota,
+      progress: {
+        percent: 0,
+        currentFps: 0,
+        timemark: '00:00:00.00'
+      }
+    });
+
+    return this.startJob(jobId, { owner, licenseType }, () => this.packageStream(jobId));
+  }
+
+  // Renditions for an input height and license type, at least the lowest one
+  getStreamLadder(inputHeight, licenseType) {
+    const maxQuality = licenseType === 'ADMIN' ? null : usageService.getLicenseInfo(licenseType).max_quality;
+    const maxIndex = STREAM_LADDER.findIndex(rendition => rendition.quality === maxQuality);
+    const ladder = STREAM_LADDER
+      .slice(0, maxIndex === -1 ? STREAM_LADDER.length : maxIndex + 1)
+      .filter(rendition => rendition.height <= inputHeight);
+
+    if (ladder.length > 0) return ladder;
+
+    // Inputs below the lowest rendition keep their own height
+    const height = Math.max(2, Math.floor(inputHeight / 2) * 2);
+    return [{ ...STREAM_LADDER[0], quality: `${height}p`, height }];
+  }
+
+  // Encode the renditions of a stream job in one ffmpeg run
+  async packageStream(jobId) {
+    const { inputFile, outputDir, options, licenseType } = jobStore.get(jobId);
+
+    jobStore.update(jobId, {
+      status: 'processing',
+      startTime: Date.now()
+    });
+
+    try {
+      const info = await this.getFileInfo(inputFile);
+      const video = info.streams.find(stream => stream.type === 'video');
+      const hasAudio = info.streams.some(stream => stream.type === 'audio');
+      const duration = Number(info.duration) || null;
+
+      if (!video || !video.height) {
+        throw new Error('Input has no video stream');
+      }
+
+      const ladder = this.getStreamLadder(video.height, licenseType);
+      const renditions = ladder.map(rendition => rendition.quality);
+
+      jobStore.update(jobId, { duration, renditions, quality: renditions[renditions.length - 1] });
+      fs.mkdirSync(outputDir, { recursive: true });
+
+      // One scaled copy of the video per rendition
+      const filters = [
+        `[0:v]split=${ladder.length}${ladder.map((rendition, i) => `[s${i}]`).join('')}`,
+        ...ladder.map((rendition, i) => `[s${i}]scale=-2:${rendition.height}[v${i}]`)
+      ].join(';');
+
+      // Keyframes on segment boundaries in every rendition, so players can switch between them
+      const outputOptions = [
+        '-preset', 'veryfast',
+        '-sc_threshold', '0',
+        '-force_key_frames', `expr:gte(t,n_forced*${options.segmentDuration})`
+      ];
+
+      ladder.forEach((rendition, i) => {
+        outputOptions.push(
+          '-map', `[v${i}]`,
+          `-c:v:${i}`, 'libx264',
+          `-b:v:${i}`, `${rendition.videoBitrate}k`,
+          `-maxrate:v:${i}`, `${Math.round(rendition.videoBitrate * 1.1)}k`,
+          `-bufsize:v:${i}`, `${rendition.videoBitrate * 2}k`
+        );
+        // HLS variants carry their own audio; DASH shares one audio track
+        if (hasAudio && (!options.dash || i === 0)) {
+          outputOptions.push('-map', '0:a:0', `-c:a:${i}`, 'aac', `-b:a:${i}`, rendition.audioBitrate);
+        }
+      });
+
+      let outputFile;
+      let files;
+
+      if (options.dash) {
+        outputFile = path.join(outputDir, 'manifest.mpd');
+        files = ['master.m3u8', 'manifest.mpd'];
+        outputOptions.push(
+          '-f', 'dash',
+          '-seg_duration', String(options.segmentDuration),
+          '-use_template', '1',
+          '-use_timeline', '1',
+          '-adaptation_sets', hasAudio ? 'id=0,streams=v id=1,streams=a' : 'id=0,streams=v',
+          '-init_seg_name', 'init-$RepresentationID$.m4s',
+          '-media_seg_name', 'chunk-$RepresentationID$-$Number%05d$.m4s',
+          '-hls_playlist', '1'
+        );
+      } else {
+        outputFile = path.join(outputDir, 'stream_%v.m3u8');
+        files = ['master.m3u8'];
+        outputOptions.push(
+          '-f', 'hls',
+          '-hls_time', String(options.segmentDuration),
+          '-hls_playlist_type', 'vod',
+          '-hls_flags', 'independent_segments',
+          '-hls_segment_filename', path.join(outputDir, 'stream_%v_%03d.ts'),
+          '-master_pl_name', 'master.m3u8',
+          '-var_stream_map', ladder.map((rendition, i) => (hasAudio ? `v:${i},a:${i}` : `v:${i}`)).join(' ')
+        );
+      }
+
+      // Passed as separate arguments: fluent-ffmpeg splits an array item with one space in two,
+      // which would break values like "v:0,a:0 v:1,a:1"
+      await this.runPass(jobId, ffmpeg(inputFile)
+        .complexFilter(filters)
+        .outputOptions(...outputOptions)
+        .output(outputFile), progress => ({
+        percent: duration ? Math.min(99, Math.round((parseTimemark(progress.timemark) / duration) * 100)) : 0,
+        currentFps: progress.currentFps || 0,
+        timemark: progress.timemark || '00:00:00.00'
+      }));
+
+      // Cancelled while encoding
+      if (jobStore.isTerminal(jobStore.get(jobId).status)) return null;
+
+      if (!files.every(name => fs.existsSync(path.join(outputDir, name)))) {
+        throw new Error('Stream playlists were not created');
+      }
+
+      const job = jobStore.update(jobId, {
+        status: 'completed',
+        files,
+        fileSize: fs.readdirSync(outputDir).reduce((total, name) => total + fs.statSync(path.join(outputDir, name)).size, 0),
+        endTime: Date.now(),
+        progress: {
+          ...jobStore.get(jobId).progress,
+          percent: 100
+        }
+      });
+      return { outputFile: null, jobId: job.id };
+    } catch (error) {
+      this.markFailed(jobId, error);
+      fs.rmSync(outputDir, { recursive: true, force: true });
+      throw error;
+    }
+  }
+
+  // Run one ffmpeg pass of a job that takes several; the job stays processing when it ends
+  // Nothing runs once the job is cancelled, e.g. between two passes when no command was there to kill
+  runPass(jobId, command, formatProgress) {
+    return new Promise((resolve, reject) => {
+      if (jobStore.get(jobId).status === 'cancelled') {
+        resolve();
+        return;
+      }
+
+      this.activeCommands.set(jobId, command);
+
+      // A pass that was cancelled may still have written its output after cancelJob removed it
+      const settle = () => {
+        this.activeCommands.delete(jobId);
+
+        const job = jobStore.get(jobId);
+        if (job && job.status === 'cancelled') {
+          this.removeOutput(job);
+        }
+      };
+
+      command.on('progress', (progress) => {
+        jobStore.update(jobId, { progress: formatProgress(progress) });
+      });
+
+      command.on('end', () => {
+        settle();
+        resolve();
+      });
+
+      command.on('error', (err) => {
+        settle();
+        reject(err);
+      });
+
+      command.run();
+    });
+  }
+
+  // Run an ffmpeg command for a job, tracking progress and the final status
+  runCommand(jobId, command, formatProgress) {
+    return new Promise((resolve, reject) => {
+      jobStore.update(jobId, {
+        status: 'processing',
+        startTime: Date.now()
+      });
+      this.activeCommands.set(jobId, command);
+
+      const { clip } = jobStore.get(jobId);
+
+      // Input duration, reported once ffmpeg has read the input (the clip's length for clips)
+      command.on('codecData', (data) => {
+        const duration = parseTimemark(data.duration);
+        jobStore.update(jobId, { duration: clip ? getClipDuration(clip, duration) : duration });
+      });
+
+      // Add progress tracking
+      command.on('progress', (progress) => {
+        const { duration } = jobStore.get(jobId);
+
+        // ffmpeg's percentage is relative to the whole input
+        if (clip && duration) {
+          progress = { ...progress, percent: Math.min(100, (parseTimemark(progress.timemark) / duration) * 100) };
+        }
+        jobStore.update(jobId, { progress: formatProgress(progress) });
       });
 
       command.on('end', () => {
-        jobs.set(jobId, {
-          ...jobs.get(jobId),
+        this.activeCommands.delete(jobId);
+
+        // Cancelled right as ffmpeg finished
+        if (jobStore.isTerminal(jobStore.get(jobId).status)) {
+          resolve(null);
+          return;
+        }
+
+        const { outputFile } = jobStore.get(jobId);
+        const job = jobStore.update(jobId, {
           status: 'completed',
-          endTime: Date.now()
+          fileSize: fs.existsSync(outputFile) ? fs.statSync(outputFile).size : null,
+          endTime: Date.now(),
+          progress: {
+            ...jobStore.get(jobId).progress,
+            percent: 100
+          }
         });
         
-        progressTracking.set(jobId, {
-          ...progressTracking.get(jobId),
-          percent: 100
-        });
-        
-        resolve({ outputFile, jobId });
+        resolve({ outputFile: job.outputFile, jobId });
       });
 
       command.on('error', (err) => {
-        jobs.set(jobId, {
-          ...jobs.get(jobId),
-          status: 'failed',
-          error: err.message,
-          endTime: Date.now()
-        });
-        
+        this.activeCommands.delete(jobId);
+        this.markFailed(jobId, err);
         reject(err);
       });
 
@@ -200,6 +829,57 @@ class FFmpegService {
     });
   }
 
+  // Cut a file to a clip ({ start, end, mode } in seconds) outside of any job.
+  // fast copies the streams, so the clip starts on the keyframe before start;
+  // accurate re-encodes the video to start on the exact frame (audio is copied, its frames are short).
+  // Aborting signal stops ffmpeg. Resolves to outputFile.
+  trim({ inputFile, outputFile, clip, signal }) {
+    return new Promise((resolve, reject) => {
+      // Keep every stream (subtitles, cover art) and chapters
+      const outputOptions = ['-map', '0', '-c', 'copy'];
+
+      if (clip.mode === 'accurate') {
+        // "V" leaves cover art alone
+        outputOptions.push('-c:V', path.extname(outputFile) === '.webm' ? 'libvpx-vp9' : 'libx264');
+      } else {
+        outputOptions.push('-avoid_negative_ts', 'make_zero');
+      }
+
+      const command = applyClip(ffmpeg(inputFile), clip)
+        .output(outputFile)
+        .outputOptions(outputOptions);
+
+      const abort = () => command.kill('SIGKILL');
+      if (signal) {
+        signal.addEventListener('abort', abort, { once: true });
+      }
+
+      command.on('end', () => {
+        if (signal) signal.removeEventListener('abort', abort);
+        resolve(outputFile);
+      });
+
+      command.on('error', (err) => {
+        if (signal) signal.removeEventListener('abort', abort);
+        reject(new Error(`Failed to cut clip: ${err.message}`));
+      });
+
+      command.run();
+    });
+  }
+
+  // Record a failure on a job unless it already ended (e.g. was cancelled)
+  markFailed(jobId, error) {
+    const job = jobStore.get(jobId);
+    if (!job || jobStore.isTerminal(job.status)) return;
+
+    jobStore.update(jobId, {
+      status: 'failed',
+      error: error.message,
+      endTime: Date.now()
+    });
+  }
+
   // Get file information
   async getFileInfo(filePath) {
     return new Promise((resolve, reject) => {
@@ -228,46 +908,139 @@ class FFmpegService {
 
   // Get conversion progress
   getProgress(jobId) {
-    const job = jobs.get(jobId);
-    const progress = progressTracking.get(jobId);
+    const job = this.getJob(jobId);
     
     if (!job) return null;
     
     return {
       jobId,
       status: job.status,
-      progress: progress || { percent: 0 },
+      queuePosition: jobQueue.getPosition(jobId),
+      progress: job.progress || { percent: 0 },
       startTime: job.startTime,
       endTime: job.endTime,
-      error: job.error
+      error: job.error,
+      downloadUrl: job.status === 'completed' && job.outputFile ? `/api/convert/download/${jobId}` : undefined,
+      files: job.status === 'completed' && job.files
+        ? job.files.map(name => ({ name, url: this.getFileUrl(job, name) }))
+        : undefined
     };
   }
 
+  // URL of one of a job's files. The path carries the job's file token instead of needing auth,
+  // so files that reference each other relatively (playlists and segments, sprite and WebVTT track)
+  // load in players.
+  getFileUrl(job, name) {
+    return `/api/convert/files/${job.id}/${job.fileToken}/${encodeURIComponent(name)}`;
+  }
+
+  // Path of a file in a finished job's directory, null unless the token matches.
+  // job.files only lists the entry points (e.g. master playlists), segments are served too.
+  getJobFile(jobId, token, name) {
+    const job = this.getJob(jobId);
+    if (!job || job.status !== 'completed' || !job.fileToken || !job.outputDir) return null;
+
+    const expected = Buffer.from(job.fileToken);
+    const given = Buffer.from(String(token));
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+    // Plain names inside the job's directory only
+    if (path.basename(name) !== name || name.startsWith('.')) return null;
+
+    const filePath = path.join(job.outputDir, name);
+    return fs.existsSync(filePath) && fs.statSync(filePath).isFile() ? filePath : null;
+  }
+
+  // Get a conversion job
+  getJob(jobId) {
+    const job = jobStore.get(jobId);
+    return job && CONVERSION_TYPES.includes(job.type) ? job : null;
+  }
+
   // Get output file path
   getOutputFile(jobId) {
-    const job = jobs.get(jobId);
+    const job = this.getJob(jobId);
     return job ? job.outputFile : null;
   }
 
+  // Cancel a queued or running conversion.
+  // Returns null if the job does not exist, otherwise whether it was cancelled.
+  async cancelJob(jobId) {
+    const job = this.getJob(jobId);
+    if (!job) return null;
+
+    if (jobStore.isTerminal(job.status)) {
+      return { cancelled: false, job };
+    }
+
+    const cancelledJob = jobStore.update(jobId, {
+      status: 'cancelled',
+      endTime: Date.now()
+    });
+
+    // Stop the job wherever it is
+    jobQueue.remove(jobId);
+    const command = this.activeCommands.get(jobId);
+    if (command) {
+      command.kill('SIGKILL');
+      this.activeCommands.delete(jobId);
+    }
+
+    // Remove the partial output
+    this.removeOutput(job);
+
+    // Remove the upload, nothing else will use it
+    if (job.inputFile && job.inputFile.includes('uploads') && fs.existsSync(job.inputFile)) {
+      fs.unlinkSync(job.inputFile);
+    }
+
+    return { cancelled: true, job: cancelledJob };
+  }
+
+  // Recover a conversion that was running when the server stopped
+  recoverJob(job) {
+    // A partially written output is useless, drop it
+    this.removeOutput(job);
+    
+    // The conversion can be run again as long as the upload is still around
+    return { resumable: Boolean(job.inputFile && fs.existsSync(job.inputFile)) };
+  }
+
+  // Delete a job's output file and output directory
+  removeOutput(job) {
+    if (job.outputFile && fs.existsSync(job.outputFile)) {
+      fs.unlinkSync(job.outputFile);
+    }
+
+    if (job.outputDir) {
+      fs.rmSync(job.outputDir, { recursive: true, force: true });
+    }
+  }
+
   // Clean up old files and jobs
   cleanup(maxAge = 24 * 60 * 60 * 1000) { // 24 hours default
     const now = Date.now();
     
-    for (const [jobId, job] of jobs.entries()) {
+    // Job directories (stream segments, thumbnails) whose job is gone, e.g. after the job store was reset
+    for (const entry of fs.readdirSync(this.outputDir, { withFileTypes: true })) {
+      const dir = path.join(this.outputDir, entry.name);
+      if (entry.isDirectory() && !jobStore.get(entry.name) && (now - fs.statSync(dir).mtimeMs) > maxAge) {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    }
+    
+    for (const job of jobStore.list(job => CONVERSION_TYPES.includes(job.type))) {
       if (job.endTime && (now - job.endTime) > maxAge) {
-        // Delete output file
-        if (fs.existsSync(job.outputFile)) {
-          fs.unlinkSync(job.outputFile);
-        }
+        // Delete output files
+        this.removeOutput(job);
         
         // Delete input file if it's in uploads
-        if (job.inputFile.includes('uploads') && fs.existsSync(job.inputFile)) {
+        if (job.inputFile && job.inputFile.includes('uploads') && fs.existsSync(job.inputFile)) {
           fs.unlinkSync(job.inputFile);
         }
         
         // Remove from tracking
-        jobs.delete(jobId);
-        progressTracking.delete(jobId);
+        jobStore.remove(job.id);
       }
     }
   }
@@ -0,0 +1,79 @@
+const { db } = require('../config/firebase');
+const jobStore = require('./jobStore');
+const platformRegistry = require('./platformRegistry');
+const DownloadHistory = require('../models/DownloadHistory');
+
+// A download job's settings besides url, format and quality, named as in POST /api/download
+// (Firestore rejects undefined values, so unset ones are left out)
+function getDownloadOptions({ preferences, subtitles, metadata, clip, filenameTemplate }) {
+  const options = {
+    ...preferences,
+    subtitles,
+    metadata,
+    filenameTemplate,
+    ...(clip && { start: clip.start, end: clip.end, cut: clip.mode })
+  };
+
+  return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined && value !== null));
+}
+
+// Records finished downloads and conversions in the download history collection
+class HistoryService {
+  constructor() {
+    jobStore.on('updated', (job, previous) => {
+      if (job.status === previous.status) return;
+      if (job.status !== 'completed' && job.status !== 'failed') return;
+
+      this.record(job).catch(error => {
+        console.error(`Failed to record history for job ${job.id}:`, error.message);
+      });
+    });
+  }
+
+  // Save a history entry for a finished job
+  async record(job) {
+    // History lives in Firestore only
+    if (!db) return null;
+
+    const platform = platformRegistry.find(job.url);
+
+    return DownloadHistory.create({
+      userId: job.userId,
+      sessionId: job.sessionId,
+      jobId: job.id,
+      batchId: job.batchId,
+      type: job.type,
+      status: job.status,
+      url: job.url,
+      platform: platform ? platform.id : null,
+      title: job.title,
+      format: job.format,
+      quality: job.quality || job.bitrate,
+      options: job.type === 'download' ? getDownloadOptions(job) : null,
+      fileSize: job.fileSize,
+      duration: job.duration,
+      licenseType: job.licenseType,
+      errorCode: job.errorCode,
+      error: job.error,
+      queuedAt: new Date(job.createdAt),
+      startedAt: job.startTime ? new Date(job.startTime) : null,
+      finishedAt: new Date(job.endTime || Date.now())
+    });
+  }
+
+  // Get a user's history (search, paging)
+  async list(userId, options) {
+    return DownloadHistory.findByUserId(userId, options);
+  }
+
+  // Get one of a user's history entries (null if missing or owned by someone else)
+  async getEntry(userId, entryId) {
+    const entry = await DownloadHistory.findById(entryId);
+    return entry && entry.userId === userId ? entry : null;
+  }
+}
+
+// Create singleton instance
+const historyService = new HistoryService();
+
+module.exports = historyService;
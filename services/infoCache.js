@@ -0,0 +1,59 @@
+// How long video info is reused, in seconds
+const INFO_CACHE_TTL = (parseInt(process.env.INFO_CACHE_TTL, 10) || 10 * 60) * 1000;
+
+// Oldest entries are dropped beyond this many
+const MAX_ENTRIES = 500;
+
+// Caches video info by canonical URL. Concurrent lookups of the same URL share one yt-dlp call.
+class InfoCache {
+  constructor(ttl = INFO_CACHE_TTL) {
+    this.ttl = ttl;
+    this.entries = new Map();
+  }
+
+  // Get the info for a URL, calling load() when it is not cached.
+  // Resolves to { info, cached } where cached tells whether load() was skipped.
+  async get(url, load) {
+    const cachedEntry = this.entries.get(url);
+
+    if (cachedEntry && cachedEntry.expiresAt > Date.now()) {
+      return { info: await cachedEntry.promise, cached: true };
+    }
+
+    const entry = { promise: load(), expiresAt: Date.now() + this.ttl };
+
+    // Re-inserting keeps the map in insertion (= age) order for pruning
+    this.entries.delete(url);
+    this.entries.set(url, entry);
+    this.prune();
+
+    try {
+      return { info: await entry.promise, cached: false };
+    } catch (error) {
+      // Failures are not cached
+      if (this.entries.get(url) === entry) {
+        this.entries.delete(url);
+      }
+      throw error;
+    }
+  }
+
+  // Drop expired entries, then the oldest ones over the size limit
+  prune() {
+    const now = Date.now();
+
+    for (const [url, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(url);
+    }
+
+    for (const url of this.entries.keys()) {
+      if (this.entries.size <= MAX_ENTRIES) break;
+      this.entries.delete(url);
+    }
+  }
+}
+
+// Create singleton instance
+const infoCache = new InfoCache();
+
+module.exports = infoCache;
@@ -0,0 +1,107 @@
+const { LICENSE_TYPES } = require('../config/firebase');
+
+// Global cap on jobs (downloads + conversions) running at the same time
+const DEFAULT_CONCURRENCY = 3;
+
+// Bounded worker queue with per-user limits and license priority
+class JobQueue {
+  constructor(concurrency) {
+    this.concurrency = concurrency;
+    this.pending = [];
+    this.running = new Map();
+    this.sequence = 0;
+  }
+
+  // Queue a job; resolves or rejects with the result of run() once it gets a slot
+  enqueue({ jobId, owner, licenseType, run }) {
+    const licenseInfo = LICENSE_TYPES[licenseType] || LICENSE_TYPES.FREE;
+
+    return new Promise((resolve, reject) => {
+      this.pending.push({
+        jobId,
+        owner,
+        priority: licenseInfo.queue_priority,
+        maxConcurrent: licenseInfo.concurrent_jobs,
+        sequence: this.sequence++,
+        run,
+        resolve,
+        reject
+      });
+
+      // Highest priority first, then first come first served
+      this.pending.sort((a, b) => (b.priority - a.priority) || (a.sequence - b.sequence));
+
+      this.drain();
+    });
+  }
+
+  // Start as many pending jobs as the global and per-user limits allow
+  drain() {
+    while (this.running.size < this.concurrency) {
+      const index = this.pending.findIndex(entry => this.countRunning(entry.owner) < entry.maxConcurrent);
+      if (index === -1) break;
+
+      const [entry] = this.pending.splice(index, 1);
+      this.start(entry);
+    }
+  }
+
+  start(entry) {
+    this.running.set(entry.jobId, entry);
+
+    Promise.resolve()
+      .then(entry.run)
+      .then(entry.resolve, entry.reject)
+      .finally(() => {
+        this.running.delete(entry.jobId);
+        this.drain();
+      });
+  }
+
+  countRunning(owner) {
+    let count = 0;
+    for (const entry of this.running.values()) {
+      if (entry.owner === owner) count++;
+    }
+    return count;
+  }
+
+  // Drop a waiting job from the queue; its enqueue() promise resolves with null.
+  // Returns false if the job is not waiting (already running or unknown).
+  remove(jobId) {
+    const index = this.pending.findIndex(entry => entry.jobId === jobId);
+    if (index === -1) return false;
+
+    const [entry] = this.pending.splice(index, 1);
+    entry.resolve(null);
+    return true;
+  }
+
+  // 1-based position of a waiting job, or null if it is not waiting.
+  // Jobs ahead that are held back by their owner's concurrent_jobs limit do not count, unless they
+  // have the same owner. It is an estimate: running jobs finishing can let held back jobs start first.
+  getPosition(jobId) {
+    const index = this.pending.findIndex(entry => entry.jobId === jobId);
+    if (index === -1) return null;
+
+    const { owner } = this.pending[index];
+    const ahead = this.pending.slice(0, index)
+      .filter(entry => entry.owner === owner || this.countRunning(entry.owner) < entry.maxConcurrent);
+
+    return ahead.length + 1;
+  }
+
+  // Queue statistics
+  getStats() {
+    return {
+      concurrency: this.concurrency,
+      running: this.running.size,
+      pending: this.pending.length
+    };
+  }
+}
+
+// Create singleton instance
+const jobQueue = new JobQueue(parseInt(process.env.MAX_CONCURRENT_JOBS, 10) || DEFAULT_CONCURRENCY);
+
+module.exports = jobQueue;
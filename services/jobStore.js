@@ -0,0 +1,211 @@
+const EventEmitter = require('events');
+const path = require('path');
+const fs = require('fs');
+const { db } = require('../config/firebase');
+const FirestoreJobAdapter = require('./adapters/firestoreJobAdapter');
+const FileJobAdapter = require('./adapters/fileJobAdapter');
+
+// Statuses that mean the job was waiting for or holding a worker
+const ACTIVE_STATUSES = ['queued', 'starting', 'downloading', 'processing', 'retrying'];
+
+// Statuses a job never leaves
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled', 'expired'];
+
+// Progress-only updates are written at most this often per job
+const PERSIST_INTERVAL = 2000;
+
+// Pick the persistence backend from JOB_STORE (firestore | file)
+function createAdapter() {
+  const type = process.env.JOB_STORE || (db ? 'firestore' : 'file');
+
+  if (type === 'firestore') {
+    if (!db) {
+      throw new Error('JOB_STORE=firestore requires Firebase to be configured');
+    }
+    return new FirestoreJobAdapter(db);
+  }
+
+  return new FileJobAdapter(process.env.JOB_STORE_PATH || path.join(__dirname, '../data/jobs.json'));
+}
+
+// Unified job repository shared by conversions and downloads.
+// Reads are served from memory; every change is written through to the adapter.
+class JobStore extends EventEmitter {
+  constructor() {
+    super();
+    // Every open progress stream listens for updates
+    this.setMaxListeners(0);
+    this.jobs = new Map();
+    this.adapter = null;
+    this.persistTimers = new Map();
+    this.recoveryHandlers = new Map();
+  }
+
+  // Load persisted jobs and recover the ones interrupted by a restart
+  async init(adapter = createAdapter()) {
+    this.adapter = adapter;
+    const storedJobs = await this.adapter.loadAll();
+    const now = Date.now();
+    let recovered = 0;
+
+    for (const stored of storedJobs) {
+      if (this.jobs.has(stored.id)) continue;
+
+      const patch = this.recover(stored, now);
+      const job = patch
+        ? { ...stored, ...patch, revision: (stored.revision || 0) + 1, updatedAt: now }
+        : stored;
+      this.jobs.set(job.id, job);
+
+      if (patch) {
+        recovered++;
+        await this.persist(job.id);
+        // Listeners (history, quotas) handle the recovered status like any other change
+        this.emit('updated', job, stored);
+      }
+    }
+
+    console.log(`📦 Job store ready (${this.jobs.size} jobs, ${recovered} recovered)`);
+  }
+
+  // Register how jobs of the given types are recovered after a restart.
+  // The handler receives the stored job and may return a patch overriding the default.
+  onRecover(types, handler) {
+    for (const type of [].concat(types)) {
+      this.recoveryHandlers.set(type, handler);
+    }
+  }
+
+  // Work out the patch to apply to a job loaded from storage (null if untouched)
+  recover(job, now) {
+    if (ACTIVE_STATUSES.includes(job.status)) {
+      const handler = this.recoveryHandlers.get(job.type);
+      return {
+        status: 'failed',
+        error: 'Interrupted by server restart',
+        interrupted: true,
+        resumable: false,
+        endTime: now,
+        ...(handler ? handler(job) : {})
+      };
+    }
+
+    if (job.status === 'completed' && job.outputFile && !fs.existsSync(job.outputFile)) {
+      return {
+        status: 'expired',
+        error: 'Output file is no longer available'
+      };
+    }
+
+    return null;
+  }
+
+  // Create a new job record
+  create(jobId, data) {
+    const now = Date.now();
+    const job = {
+      ...data,
+      id: jobId,
+      revision: 1,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.jobs.set(jobId, job);
+    this.persist(jobId);
+    this.emit('created', job);
+
+    return job;
+  }
+
+  // Get a job by ID
+  get(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  // Merge changes into a job; status changes are persisted immediately
+  update(jobId, patch) {
+    const current = this.jobs.get(jobId);
+    if (!current) return null;
+
+    // The revision increases with every change so clients can tell which state they have seen
+    const job = {
+      ...current,
+      ...patch,
+      revision: (current.revision || 0) + 1,
+      updatedAt: Date.now()
+    };
+    this.jobs.set(jobId, job);
+
+    if (patch.status && patch.status !== current.status) {
+      this.persist(jobId);
+    } else {
+      this.schedulePersist(jobId);
+    }
+
+    this.emit('updated', job, current);
+    return job;
+  }
+
+  // Remove a job from memory and storage
+  remove(jobId) {
+    this.cancelPersist(jobId);
+    this.jobs.delete(jobId);
+
+    if (this.adapter) {
+      this.adapter.remove(jobId).catch(error => {
+        console.error(`Job store: ${error.message}`);
+      });
+    }
+  }
+
+  // Whether a status is final
+  isTerminal(status) {
+    return TERMINAL_STATUSES.includes(status);
+  }
+
+  // List jobs, optionally filtered by a predicate
+  list(predicate = () => true) {
+    return Array.from(this.jobs.values()).filter(predicate);
+  }
+
+  schedulePersist(jobId) {
+    if (!this.adapter || this.persistTimers.has(jobId)) return;
+
+    this.persistTimers.set(jobId, setTimeout(() => {
+      this.persist(jobId);
+    }, PERSIST_INTERVAL));
+  }
+
+  cancelPersist(jobId) {
+    const timer = this.persistTimers.get(jobId);
+    if (timer) {
+      clearTimeout(timer);
+      this.persistTimers.delete(jobId);
+    }
+  }
+
+  // Write the current state of a job through to the adapter
+  async persist(jobId) {
+    this.cancelPersist(jobId);
+
+    const job = this.jobs.get(jobId);
+    if (!this.adapter || !job) return;
+
+    try {
+      await this.adapter.save(job);
+    } catch (error) {
+      console.error(`Job store: ${error.message}`);
+    }
+  }
+
+  // Write out any pending progress updates (e.g. before shutdown)
+  async flush() {
+    await Promise.all(Array.from(this.persistTimers.keys()).map(jobId => this.persist(jobId)));
+  }
+}
+
+// Create singleton instance
+const jobStore = new JobStore();
+
+module.exports = jobStore;
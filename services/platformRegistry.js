@@ -0,0 +1,105 @@
+const youtube = require('./platforms/youtube');
+const facebook = require('./platforms/facebook');
+const instagram = require('./platforms/instagram');
+const tiktok = require('./platforms/tiktok');
+const twitter = require('./platforms/twitter');
+const vimeo = require('./platforms/vimeo');
+
+// Platforms downloads are accepted from. Each platform declares:
+// - id, name: identifier (stored in history) and display name
+// - patterns: URL regexes a download URL has to match
+// - canonicalize(url): turns a parsed URL into the form stored on jobs (optional)
+// - videoUrl(url): the parsed URL without the playlist the video was opened from (optional)
+// - ytDlpArgs: extra yt-dlp arguments for the platform (optional)
+// - defaultQuality: quality used when a request does not give one (optional)
+// - sectionDownloads: false if clips have to be cut from the whole download (optional)
+// - licenseTypes: license types the platform is available to, all when omitted
+class PlatformRegistry {
+  constructor() {
+    this.platforms = new Map();
+  }
+
+  // Add (or replace) a platform
+  register(platform) {
+    if (!platform.id || !platform.name || !Array.isArray(platform.patterns) || platform.patterns.length === 0) {
+      throw new Error('Platforms need an id, a name and at least one URL pattern');
+    }
+
+    this.platforms.set(platform.id, {
+      canonicalize: url => url.href,
+      videoUrl: url => url.href,
+      ytDlpArgs: [],
+      defaultQuality: '720p',
+      sectionDownloads: true,
+      licenseTypes: null,
+      ...platform
+    });
+  }
+
+  get(platformId) {
+    return this.platforms.get(platformId) || null;
+  }
+
+  list() {
+    return [...this.platforms.values()];
+  }
+
+  // Platform a URL belongs to, or null if no platform accepts it
+  find(url) {
+    if (typeof url !== 'string') return null;
+
+    for (const platform of this.platforms.values()) {
+      if (platform.patterns.some(pattern => pattern.test(url))) {
+        return platform;
+      }
+    }
+    return null;
+  }
+
+  // Whether a license type may download from a platform (admins may use every platform)
+  isAvailable(platform, licenseType) {
+    return licenseType === 'ADMIN' || !platform.licenseTypes || platform.licenseTypes.includes(licenseType);
+  }
+
+  // Canonical form of a URL (unchanged for URLs no platform accepts)
+  canonicalize(url) {
+    const platform = this.find(url);
+    return platform ? platform.canonicalize(new URL(url)) : url;
+  }
+
+  // URL of just the video a URL points at (unchanged for URLs no platform accepts)
+  getVideoUrl(url) {
+    const platform = this.find(url);
+    return platform ? platform.videoUrl(new URL(url)) : url;
+  }
+
+  // Extra yt-dlp arguments for a URL
+  getYtDlpArgs(url) {
+    const platform = this.find(url);
+    return platform ? platform.ytDlpArgs : [];
+  }
+
+  // Whether yt-dlp can download just a clip of a URL's video
+  canDownloadSections(url) {
+    const platform = this.find(url);
+    return platform ? platform.sectionDownloads : false;
+  }
+
+  // Platform details for API responses
+  describe(platform, licenseType) {
+    return {
+      id: platform.id,
+      name: platform.name,
+      defaultQuality: platform.defaultQuality,
+      licenseTypes: platform.licenseTypes,
+      available: this.isAvailable(platform, licenseType)
+    };
+  }
+}
+
+// Create singleton instance
+const platformRegistry = new PlatformRegistry();
+
+[youtube, facebook, instagram, tiktok, twitter, vimeo].forEach(platform => platformRegistry.register(platform));
+
+module.exports = platformRegistry;
@@ -0,0 +1,26 @@
+// Facebook videos, reels and fb.watch short links
+module.exports = {
+  id: 'facebook',
+  name: 'Facebook',
+  patterns: [
+    /^https?:\/\/(?:(?:www|m|web|mbasic)\.)?(?:facebook|fb)\.com\/.+/i,
+    /^https?:\/\/fb\.watch\/[\w-]+/i
+  ],
+  defaultQuality: 'best',
+  // Streams are DASH manifests, which yt-dlp cannot download in sections
+  sectionDownloads: false,
+
+  // Mobile hosts become www.facebook.com; only the parameters that identify a video are kept
+  canonicalize(url) {
+    if (url.hostname === 'fb.watch') {
+      return `https://fb.watch${url.pathname}`;
+    }
+
+    const canonical = new URL(`https://www.facebook.com${url.pathname}`);
+    for (const name of ['v', 'story_fbid', 'id']) {
+      if (url.searchParams.has(name)) canonical.searchParams.set(name, url.searchParams.get(name));
+    }
+
+    return canonical.href;
+  }
+};
@@ -0,0 +1,16 @@
+// Instagram posts, reels, IGTV and stories
+module.exports = {
+  id: 'instagram',
+  name: 'Instagram',
+  patterns: [
+    /^https?:\/\/(?:www\.)?instagram\.com\/(?:[\w.]+\/)?(?:p|reels?|tv|stories)\/[\w.-]+/i
+  ],
+  defaultQuality: 'best',
+  // Streams are DASH manifests, which yt-dlp cannot download in sections
+  sectionDownloads: false,
+
+  // Share parameters (igsh, utm_*) are dropped
+  canonicalize(url) {
+    return `https://www.instagram.com${url.pathname}`;
+  }
+};
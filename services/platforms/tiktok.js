@@ -0,0 +1,16 @@
+// TikTok videos, photo posts, profiles and vm./vt. short links
+module.exports = {
+  id: 'tiktok',
+  name: 'TikTok',
+  patterns: [
+    /^https?:\/\/(?:(?:www|m)\.)?tiktok\.com\/(?:@[\w.-]+|t\/\w+|embed\/(?:v2\/)?\d+)/i,
+    /^https?:\/\/(?:vm|vt)\.tiktok\.com\/\w+/i
+  ],
+  defaultQuality: 'best',
+
+  // Share parameters are dropped; short links are kept as they are since resolving them needs a request
+  canonicalize(url) {
+    const hostname = url.hostname === 'm.tiktok.com' || url.hostname === 'tiktok.com' ? 'www.tiktok.com' : url.hostname;
+    return `https://${hostname}${url.pathname}`;
+  }
+};
@@ -0,0 +1,16 @@
+// Twitter/X posts, Spaces and broadcasts
+module.exports = {
+  id: 'twitter',
+  name: 'Twitter/X',
+  patterns: [
+    /^https?:\/\/(?:(?:www|mobile)\.)?(?:twitter|x)\.com\/(?:\w+|i\/web)\/status(?:es)?\/\d+/i,
+    /^https?:\/\/(?:(?:www|mobile)\.)?(?:twitter|x)\.com\/i\/(?:spaces|broadcasts)\/\w+/i
+  ],
+  defaultQuality: 'best',
+
+  // Posts become x.com/<user>/status/<id> (without /photo/1, /video/1 or share parameters)
+  canonicalize(url) {
+    const match = /^\/((?:\w+|i\/web)\/status(?:es)?\/\d+|i\/(?:spaces|broadcasts)\/\w+)/i.exec(url.pathname);
+    return `https://x.com/${match ? match[1] : url.pathname.slice(1)}`;
+  }
+};
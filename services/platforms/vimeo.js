@@ -0,0 +1,22 @@
+// Vimeo videos (including unlisted ones), showcases and the embedded player
+module.exports = {
+  id: 'vimeo',
+  name: 'Vimeo',
+  patterns: [
+    /^https?:\/\/(?:www\.)?vimeo\.com\/(?:\d+|channels\/[\w-]+\/\d+|groups\/[\w-]+\/videos\/\d+|showcase\/\d+|album\/\d+)/i,
+    /^https?:\/\/player\.vimeo\.com\/video\/\d+/i
+  ],
+  defaultQuality: '1080p',
+  licenseTypes: ['BASIC', 'PRO', 'UNLIMITED'],
+
+  // Player links become vimeo.com/<id>, with the hash of unlisted videos as vimeo.com/<id>/<hash>
+  canonicalize(url) {
+    if (url.hostname === 'player.vimeo.com') {
+      const videoId = url.pathname.split('/')[2];
+      const hash = url.searchParams.get('h');
+      return `https://vimeo.com/${videoId}${hash ? `/${hash}` : ''}`;
+    }
+
+    return `https://vimeo.com${url.pathname}`;
+  }
+};
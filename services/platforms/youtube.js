@@ -0,0 +1,42 @@
+// YouTube videos, Shorts, live streams, playlists and channels
+module.exports = {
+  id: 'youtube',
+  name: 'YouTube',
+  patterns: [
+    /^https?:\/\/(?:(?:www|m|music)\.)?youtube\.com\/(?:watch\?|shorts\/|live\/|embed\/|playlist\?|@|channel\/|c\/|user\/)/i,
+    /^https?:\/\/(?:www\.)?youtube-nocookie\.com\/embed\//i,
+    /^https?:\/\/youtu\.be\/[\w-]+/i
+  ],
+  defaultQuality: '720p',
+
+  // Videos become www.youtube.com/watch?v=<id> (keeping the playlist); tracking parameters are dropped
+  canonicalize(url) {
+    const segments = url.pathname.split('/').filter(Boolean);
+    let videoId = null;
+
+    if (url.hostname === 'youtu.be') {
+      videoId = segments[0];
+    } else if (['shorts', 'live', 'embed'].includes(segments[0])) {
+      videoId = segments[1];
+    } else if (segments[0] === 'watch') {
+      videoId = url.searchParams.get('v');
+    }
+
+    const list = url.searchParams.get('list');
+    const canonical = new URL(videoId ? 'https://www.youtube.com/watch' : `https://www.youtube.com${url.pathname}`);
+
+    if (videoId) canonical.searchParams.set('v', videoId);
+    if (list) canonical.searchParams.set('list', list);
+
+    return canonical.href;
+  },
+
+  // Watch URLs opened from a playlist point at the same video
+  videoUrl(url) {
+    if (url.searchParams.has('v')) {
+      url.searchParams.delete('list');
+      url.searchParams.delete('index');
+    }
+    return url.href;
+  }
+};
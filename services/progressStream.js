@@ -0,0 +1,100 @@
+const jobStore = require('./jobStore');
+
+// Comment lines keep idle proxies from closing the stream
+const HEARTBEAT_INTERVAL = 15 * 1000;
+
+// Progress events are sent at most this often; status changes go out immediately
+const PROGRESS_THROTTLE = 500;
+
+// How long browsers wait before reconnecting a dropped stream
+const RETRY_DELAY = 3000;
+
+// Stream a job's progress as Server-Sent Events.
+// getPayload(jobId) returns the same body as the JSON progress endpoint (null if not found).
+function streamJobProgress(req, res, jobId, getPayload) {
+  const job = jobStore.get(jobId);
+
+  if (!job || !getPayload(jobId)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  // Every event carries the job revision as its ID so reconnecting clients can resume
+  const lastEventId = parseInt(req.headers['last-event-id'] || req.query.lastEventId, 10) || 0;
+
+  // The client already saw the final state; 204 tells EventSource not to reconnect
+  if (jobStore.isTerminal(job.status) && lastEventId >= job.revision) {
+    return res.status(204).end();
+  }
+
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
+  res.flushHeaders();
+
+  let lastSentRevision = lastEventId;
+  let lastStatus = job.status;
+  let lastSentAt = 0;
+  let pendingTimer = null;
+
+  const write = (chunk) => {
+    res.write(chunk);
+    // compression() buffers responses unless told to flush
+    if (res.flush) res.flush();
+  };
+
+  const sendState = () => {
+    const current = jobStore.get(jobId);
+    if (!current || current.revision <= lastSentRevision) return;
+
+    const terminal = jobStore.isTerminal(current.status);
+    const event = terminal ? current.status : (current.status !== lastStatus ? 'status' : 'progress');
+
+    write(`id: ${current.revision}\nevent: ${event}\ndata: ${JSON.stringify(getPayload(jobId))}\n\n`);
+
+    lastSentRevision = current.revision;
+    lastStatus = current.status;
+    lastSentAt = Date.now();
+
+    if (terminal) {
+      close();
+      res.end();
+    }
+  };
+
+  const onUpdate = (updated, previous) => {
+    if (updated.id !== jobId) return;
+
+    clearTimeout(pendingTimer);
+    const wait = PROGRESS_THROTTLE - (Date.now() - lastSentAt);
+
+    if (updated.status !== previous.status || wait <= 0) {
+      sendState();
+    } else {
+      // Send the latest state once the throttle window has passed
+      pendingTimer = setTimeout(sendState, wait);
+    }
+  };
+
+  const heartbeat = setInterval(() => write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+  const close = () => {
+    clearInterval(heartbeat);
+    clearTimeout(pendingTimer);
+    jobStore.removeListener('updated', onUpdate);
+  };
+
+  jobStore.on('updated', onUpdate);
+  req.on('close', close);
+
+  write(`retry: ${RETRY_DELAY}\n\n`);
+  sendState();
+}
+
+module.exports = {
+  streamJobProgress
+};
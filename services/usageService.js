@@ -0,0 +1,182 @@
+const { db, LICENSE_TYPES } = require('../config/firebase');
+const jobStore = require('./jobStore');
+const FirestoreUsageAdapter = require('./adapters/firestoreUsageAdapter');
+const MemoryUsageAdapter = require('./adapters/memoryUsageAdapter');
+
+// Counters live in Firestore when it is configured, in memory otherwise
+function createAdapter() {
+  return db ? new FirestoreUsageAdapter(db) : new MemoryUsageAdapter();
+}
+
+// Calendar day (YYYY-MM-DD) in a time zone, falling back to UTC for unknown zones
+function getDay(timeZone = 'UTC', date = new Date()) {
+  try {
+    return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+  } catch (error) {
+    return date.toISOString().slice(0, 10);
+  }
+}
+
+// Remaining amount of a limit (-1 means unlimited)
+function getRemaining(limit, used) {
+  return limit === -1 ? -1 : Math.max(0, limit - used);
+}
+
+// Tracks usage against license quotas:
+// - downloads per day: a job reserves a unit when it is queued; the reservation becomes usage
+//   when the job completes and is released when it fails or is cancelled
+// - bandwidth per month: bytes of completed jobs
+// - storage: size of completed files still kept on the server
+class UsageService {
+  constructor(adapter = createAdapter()) {
+    this.adapter = adapter;
+
+    jobStore.on('updated', (job, previous) => {
+      if (!job.quota) return;
+      if (!jobStore.isTerminal(job.status) || jobStore.isTerminal(previous.status)) return;
+
+      this.settle(job).catch(error => {
+        console.error(`Failed to settle usage for job ${job.id}:`, error.message);
+      });
+    });
+  }
+
+  // License limits for a license type (admins get the highest tier, unknown types the free tier)
+  getLicenseInfo(licenseType) {
+    if (licenseType === 'ADMIN') return LICENSE_TYPES.UNLIMITED;
+    return LICENSE_TYPES[licenseType] || LICENSE_TYPES.FREE;
+  }
+
+  // Who the quota belongs to (anonymous users by owner, i.e. IP) and which day and month it is for them
+  getScope(user, owner) {
+    const day = getDay(user && user.timezone);
+
+    return {
+      subject: user ? user.id : owner,
+      day,
+      month: day.slice(0, 7)
+    };
+  }
+
+  getKey({ subject, day }) {
+    return encodeURIComponent(`${subject}_${day}`);
+  }
+
+  getMonthKey({ subject, month }) {
+    return encodeURIComponent(`${subject}_${month}`);
+  }
+
+  // Reserve quota for count jobs; maxFileSize is handed to each job that claims a unit.
+  // Returns the reservation (reserved: false when the daily limit would be exceeded).
+  async reserve(user, owner, count, { maxFileSize } = {}) {
+    const scope = this.getScope(user, owner);
+    const dailyLimit = this.getLicenseInfo(user ? user.licenseType : 'FREE').downloads_per_day;
+
+    const result = await this.adapter.reserve(this.getKey(scope), scope, count, dailyLimit);
+
+    return {
+      ...scope,
+      reserved: result.reserved,
+      count: result.reserved ? count : 0,
+      maxFileSize,
+      used: result.used,
+      pending: result.pending,
+      dailyLimit,
+      remaining: getRemaining(dailyLimit, result.used + result.pending)
+    };
+  }
+
+  // Take one unit of a reservation for a new job; the job stores the returned scope and size limit
+  claim(reservation) {
+    if (!reservation || reservation.count <= 0) return null;
+
+    reservation.count--;
+    return {
+      subject: reservation.subject,
+      day: reservation.day,
+      month: reservation.month,
+      maxFileSize: reservation.maxFileSize
+    };
+  }
+
+  // Give back units reserved for jobs that were never created
+  async releaseUnclaimed(reservation) {
+    if (!reservation || reservation.count <= 0) return;
+
+    const count = reservation.count;
+    reservation.count = 0;
+    await this.adapter.increment(this.getKey(reservation), { reserved: -count });
+  }
+
+  // Turn a finished job's reservation into usage (completed) or release it
+  async settle(job) {
+    if (job.status !== 'completed') {
+      await this.adapter.increment(this.getKey(job.quota), { reserved: -1 });
+      return;
+    }
+
+    await this.adapter.increment(this.getKey(job.quota), { reserved: -1, used: 1 });
+
+    // Jobs queued before monthly tracking have no month; count them in the current one
+    const month = job.quota.month || getDay().slice(0, 7);
+    await this.adapter.increment(this.getMonthKey({ subject: job.quota.subject, month }), { bytes: job.fileSize || 0 });
+  }
+
+  // Size of the finished files a subject still has on the server
+  getStorageUsed(subject) {
+    return jobStore.list(job => job.quota && job.quota.subject === subject && job.status === 'completed')
+      .reduce((total, job) => total + (job.fileSize || 0), 0);
+  }
+
+  // Monthly bandwidth and retained storage, with the largest file a new job may produce
+  async getTransferUsage(user, owner) {
+    const scope = this.getScope(user, owner);
+    const licenseInfo = this.getLicenseInfo(user ? user.licenseType : 'FREE');
+    const { bytes } = await this.adapter.get(this.getMonthKey(scope));
+    const storageUsed = this.getStorageUsed(scope.subject);
+
+    const bandwidth = {
+      month: scope.month,
+      used: bytes,
+      limit: licenseInfo.monthly_bandwidth,
+      remaining: getRemaining(licenseInfo.monthly_bandwidth, bytes)
+    };
+    const storage = {
+      used: storageUsed,
+      limit: licenseInfo.storage_limit,
+      remaining: getRemaining(licenseInfo.storage_limit, storageUsed)
+    };
+
+    // A single file may not exceed the license limit, nor what is left of bandwidth or storage
+    const maxFileSize = Math.min(...[licenseInfo.max_file_size, bandwidth.remaining, storage.remaining]
+      .filter(limit => limit !== -1));
+
+    return {
+      bandwidth,
+      storage,
+      maxFileSize,
+      maxUploadSize: licenseInfo.max_upload_size
+    };
+  }
+
+  // Today's usage for a user (or an anonymous owner when user is null)
+  async getUsage(user, owner) {
+    const scope = this.getScope(user, owner);
+    const dailyLimit = this.getLicenseInfo(user ? user.licenseType : 'FREE').downloads_per_day;
+    const { used, reserved } = await this.adapter.get(this.getKey(scope));
+
+    return {
+      day: scope.day,
+      used,
+      pending: reserved,
+      dailyLimit,
+      remaining: getRemaining(dailyLimit, used + reserved),
+      ...await this.getTransferUsage(user, owner)
+    };
+  }
+}
+
+// Create singleton instance
+const usageService = new UsageService();
+
+module.exports = usageService;
@@ -0,0 +1,216 @@
+const { WebSocketServer } = require('ws');
+const { URL } = require('url');
+const jobStore = require('./jobStore');
+const ffmpegService = require('./ffmpegService');
+const downloadService = require('./downloadService');
+const { getUserFromToken, hashSessionToken, isValidSessionToken, canAccessJob } = require('../middleware/auth');
+
+const WS_PATH = '/ws';
+
+// Progress events are sent at most this often per job; status changes go out immediately
+const PROGRESS_THROTTLE = 500;
+
+// Dead connections are dropped if they miss a ping
+const PING_INTERVAL = 30 * 1000;
+
+// Pushes job progress to subscribed WebSocket clients
+class WebSocketService {
+  constructor() {
+    this.wss = null;
+    this.clients = new Map();
+    this.lastProgressSent = new Map();
+  }
+
+  // Attach the WebSocket endpoint to the HTTP server
+  attach(server) {
+    this.wss = new WebSocketServer({ noServer: true });
+
+    server.on('upgrade', (req, socket, head) => {
+      this.handleUpgrade(req, socket, head).catch(error => {
+        console.error('WebSocket upgrade error:', error.message);
+        socket.destroy();
+      });
+    });
+
+    this.wss.on('connection', (ws, req, requester) => this.handleConnection(ws, requester));
+
+    jobStore.on('updated', (job, previous) => this.handleJobUpdate(job, previous));
+
+    const pingTimer = setInterval(() => {
+      for (const ws of this.wss.clients) {
+        if (!ws.isAlive) {
+          ws.terminate();
+          continue;
+        }
+        ws.isAlive = false;
+        ws.ping();
+      }
+    }, PING_INTERVAL);
+
+    this.wss.on('close', () => clearInterval(pingTimer));
+  }
+
+  // Authenticate the upgrade request before accepting the connection
+  async handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname !== WS_PATH) {
+      socket.destroy();
+      return;
+    }
+
+    // Browsers cannot set headers on WebSocket requests, so credentials may come in the query string:
+    // a JWT for users, or the session token anonymous jobs were created with
+    const authHeader = req.headers['authorization'];
+    const token = url.searchParams.get('token') || (authHeader && authHeader.split(' ')[1]);
+    const sessionToken = req.headers['x-session-token'] || url.searchParams.get('sessionToken');
+    const user = token ? await getUserFromToken(token) : null;
+    const sessionId = isValidSessionToken(sessionToken) ? hashSessionToken(sessionToken) : null;
+
+    if (!user && !sessionId) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    this.wss.handleUpgrade(req, socket, head, ws => {
+      this.wss.emit('connection', ws, req, { user, sessionId });
+    });
+  }
+
+  handleConnection(ws, requester) {
+    ws.isAlive = true;
+    this.clients.set(ws, {
+      requester,
+      jobIds: new Set(),
+      batchIds: new Set()
+    });
+
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    ws.on('message', data => this.handleMessage(ws, data));
+
+    ws.on('close', () => {
+      this.clients.delete(ws);
+    });
+
+    this.send(ws, { type: 'connected' });
+  }
+
+  // Handle subscribe/unsubscribe requests:
+  // { "action": "subscribe", "jobIds": [...], "batchIds": [...] }
+  handleMessage(ws, data) {
+    let message;
+
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      this.send(ws, { type: 'error', message: 'Invalid JSON message' });
+      return;
+    }
+
+    // Valid JSON, but not a request (null, numbers, strings, arrays)
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+      this.send(ws, { type: 'error', message: 'Message must be a JSON object' });
+      return;
+    }
+
+    const client = this.clients.get(ws);
+    const jobIds = Array.isArray(message.jobIds) ? message.jobIds : [];
+    const batchIds = Array.isArray(message.batchIds) ? message.batchIds : [];
+
+    switch (message.action) {
+      case 'subscribe':
+        jobIds.forEach(jobId => client.jobIds.add(jobId));
+        batchIds.forEach(batchId => client.batchIds.add(batchId));
+
+        // Send the current state so the client does not have to wait for the next change
+        for (const job of this.getSubscribedJobs(client, jobIds, batchIds)) {
+          this.send(ws, this.buildEvent('snapshot', job));
+        }
+
+        this.send(ws, { type: 'subscribed', jobIds: [...client.jobIds], batchIds: [...client.batchIds] });
+        break;
+
+      case 'unsubscribe':
+        jobIds.forEach(jobId => client.jobIds.delete(jobId));
+        batchIds.forEach(batchId => client.batchIds.delete(batchId));
+
+        this.send(ws, { type: 'unsubscribed', jobIds: [...client.jobIds], batchIds: [...client.batchIds] });
+        break;
+
+      default:
+        this.send(ws, { type: 'error', message: `Unknown action: ${message.action}` });
+    }
+  }
+
+  getSubscribedJobs(client, jobIds, batchIds) {
+    const jobs = jobIds.map(jobId => jobStore.get(jobId)).filter(Boolean);
+    const batchJobs = batchIds.length > 0
+      ? jobStore.list(job => batchIds.includes(job.batchId) && !jobIds.includes(job.id))
+      : [];
+
+    return jobs.concat(batchJobs).filter(job => canAccessJob(client.requester, job));
+  }
+
+  // Turn a job store change into a pushed event
+  handleJobUpdate(job, previous) {
+    if (this.clients.size === 0) return;
+
+    const statusChanged = job.status !== previous.status;
+    let type = 'progress';
+
+    if (statusChanged) {
+      type = jobStore.isTerminal(job.status) ? job.status : 'status';
+    } else {
+      const now = Date.now();
+      if (now - (this.lastProgressSent.get(job.id) || 0) < PROGRESS_THROTTLE) return;
+      this.lastProgressSent.set(job.id, now);
+    }
+
+    if (jobStore.isTerminal(job.status)) {
+      this.lastProgressSent.delete(job.id);
+    }
+
+    const event = this.buildEvent(type, job, statusChanged ? previous.status : undefined);
+
+    for (const [ws, client] of this.clients.entries()) {
+      const subscribed = client.jobIds.has(job.id) || (job.batchId && client.batchIds.has(job.batchId));
+
+      // Subscribing to a job ID is not enough, the client also has to own the job
+      if (subscribed && canAccessJob(client.requester, job)) {
+        this.send(ws, event);
+      }
+    }
+  }
+
+  // Events carry the same payload as the JSON progress endpoints
+  buildEvent(type, job, previousStatus) {
+    const data = job.type === 'download'
+      ? downloadService.getProgress(job.id)
+      : ffmpegService.getProgress(job.id);
+
+    return {
+      type,
+      jobId: job.id,
+      batchId: job.batchId,
+      jobType: job.type,
+      status: job.status,
+      previousStatus,
+      data
+    };
+  }
+
+  send(ws, payload) {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify(payload));
+    }
+  }
+}
+
+// Create singleton instance
+const websocketService = new WebSocketService();
+
+module.exports = websocketService;
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const ffmpeg = require('fluent-ffmpeg');
+
+// Loading the services must not start their hourly cleanup timers or create output directories
+jest.useFakeTimers();
+jest.spyOn(fs, 'mkdirSync').mockImplementation(() => {});
+
+const jobStore = require('../services/jobStore');
+const ffmpegService = require('../services/ffmpegService');
+const { validateAnimationRequest } = require('../middleware/validation');
+
+fs.mkdirSync.mockRestore();
+jest.useRealTimers();
+
+describe('animation requests', () => {
+  const app = express();
+  app.use(express.json());
+  app.post('/gif', validateAnimationRequest, (req, res) => res.json(req.body));
+
+  test('fills in the defaults', async () => {
+    const response = await request(app).post('/gif').send({}).expect(200);
+
+    expect(response.body).toEqual({ format: 'gif', start: 0, duration: 5, fps: 10, width: 480, loop: 0, dither: 'sierra2_4a' });
+  });
+
+  test('accepts a timestamp as start', async () => {
+    const response = await request(app).post('/gif').send({ start: '1:02:03.5', format: 'webp' }).expect(200);
+
+    expect(response.body).toMatchObject({ start: 3723.5, format: 'webp' });
+    expect(response.body.dither).toBeUndefined();
+  });
+
+  test.each([
+    ['dithering for a format without a palette', { format: 'webp', dither: 'bayer' }],
+    ['a duration over 30 seconds', { duration: 31 }],
+    ['a width over 1280', { width: 1920 }],
+    ['an unknown format', { format: 'avif' }]
+  ])('rejects %s', async (name, body) => {
+    const response = await request(app).post('/gif').send(body).expect(400);
+
+    expect(response.body).toMatchObject({ success: false, error: 'Validation failed' });
+  });
+});
+
+describe('ffmpegService.createAnimation', () => {
+  const options = { start: 0, duration: 2, fps: 10, width: 480, loop: 0, dither: 'sierra2_4a' };
+  let outputDir;
+  let outputs;
+  let writeOutput;
+
+  const create = (jobId, format, overrides = {}) => ffmpegService.createAnimation({
+    inputFile: path.join(outputDir, 'input.mp4'),
+    title: 'input.mp4',
+    format,
+    options: { ...options, ...overrides },
+    jobId,
+    owner: 'ip:203.0.113.7',
+    licenseType: 'FREE'
+  });
+
+  beforeEach(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'output-'));
+    ffmpegService.outputDir = outputDir;
+    outputs = [];
+    // Every pass writes 1000 bytes unless a test says otherwise
+    writeOutput = () => 1000;
+
+    jest.spyOn(ffmpeg.prototype, 'run').mockImplementation(function () {
+      const outputFile = this._outputs[this._outputs.length - 1].target;
+      outputs.push(path.basename(outputFile));
+      fs.writeFileSync(outputFile, Buffer.alloc(writeOutput(outputFile)));
+      setImmediate(() => this.emit('end'));
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  test('encodes a GIF from a palette pass and a paletteuse pass', async () => {
+    const result = await create('gif-job', 'gif');
+
+    expect(result).toEqual({ outputFile: path.join(outputDir, 'gif-job.gif'), jobId: 'gif-job' });
+    expect(outputs).toEqual(['gif-job.palette.png', 'gif-job.gif']);
+    expect(jobStore.get('gif-job')).toMatchObject({ status: 'completed', fileSize: 1000, progress: { percent: 100 } });
+    // The palette is only needed while encoding
+    expect(fs.existsSync(path.join(outputDir, 'gif-job.palette.png'))).toBe(false);
+  });
+
+  test('encodes WebP in one pass', async () => {
+    await create('webp-job', 'webp');
+
+    expect(outputs).toEqual(['webp-job.webp']);
+    expect(jobStore.get('webp-job').status).toBe('completed');
+  });
+
+  test('re-encodes smaller until the animation fits maxSize', async () => {
+    writeOutput = () => (outputs.length === 1 ? 40000 : 15000);
+
+    await create('shrink-job', 'webp', { maxSize: 20000 });
+
+    const job = jobStore.get('shrink-job');
+    expect(outputs).toEqual(['shrink-job.webp', 'shrink-job.webp']);
+    expect(job).toMatchObject({ status: 'completed', fileSize: 15000 });
+    expect(job.width).toBeLessThan(480);
+  });
+
+  test('fails and removes the output when it cannot get under maxSize', async () => {
+    writeOutput = () => 50000;
+
+    await expect(create('large-job', 'webp', { width: 64, fps: 5, maxSize: 20000 })).rejects.toThrow('larger than maxSize');
+
+    expect(jobStore.get('large-job').status).toBe('failed');
+    expect(fs.existsSync(path.join(outputDir, 'large-job.webp'))).toBe(false);
+  });
+
+  test('does not start the paletteuse pass after a cancellation', async () => {
+    writeOutput = (outputFile) => {
+      if (outputFile.endsWith('.palette.png')) ffmpegService.cancelJob('cancelled-job');
+      return 1000;
+    };
+
+    expect(await create('cancelled-job', 'gif')).toBeNull();
+
+    expect(outputs).toEqual(['cancelled-job.palette.png']);
+    expect(jobStore.get('cancelled-job').status).toBe('cancelled');
+    expect(fs.readdirSync(outputDir)).toEqual([]);
+  });
+});
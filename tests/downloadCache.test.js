@@ -0,0 +1,106 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Loading the services must not start their hourly cleanup timers or create output directories
+jest.useFakeTimers();
+jest.spyOn(fs, 'mkdirSync').mockImplementation(() => {});
+
+const jobStore = require('../services/jobStore');
+const jobQueue = require('../services/jobQueue');
+const downloadService = require('../services/downloadService');
+
+fs.mkdirSync.mockRestore();
+jest.useRealTimers();
+
+// Let the waiting jobs released after a job store update run
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('downloadService.getCacheKey', () => {
+  const options = { format: 'mp4', quality: '720p', licenseType: 'FREE' };
+
+  test('is the same for a video opened with and without its playlist', () => {
+    expect(downloadService.getCacheKey({ ...options, url: 'https://www.youtube.com/watch?v=abc123&list=PL1' }))
+      .toBe(downloadService.getCacheKey({ ...options, url: 'https://www.youtube.com/watch?v=abc123' }));
+  });
+
+  test('differs for options that change the file', () => {
+    expect(downloadService.getCacheKey({ ...options, url: 'https://www.youtube.com/watch?v=abc123', format: 'mp3' }))
+      .not.toBe(downloadService.getCacheKey({ ...options, url: 'https://www.youtube.com/watch?v=abc123' }));
+  });
+});
+
+describe('downloadService content cache', () => {
+  const { concurrency } = jobQueue;
+  let outputDir;
+  let jobIds;
+
+  // Downloads stay queued, so only the cache can complete them
+  const start = (url, quota = null) => {
+    const jobId = downloadService.startDownload({ url, format: 'mp4', quality: '720p', owner: 'ip:203.0.113.7', licenseType: 'FREE', quota });
+    jobIds.push(jobId);
+    return jobId;
+  };
+
+  const complete = (jobId, content) => {
+    const outputFile = path.join(outputDir, `${jobId}-1700000000000.mp4`);
+    fs.writeFileSync(outputFile, content);
+    jobStore.update(jobId, { status: 'completed', title: 'Cached video', outputFile, fileSize: content.length, endTime: Date.now() });
+    return outputFile;
+  };
+
+  beforeEach(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'downloads-'));
+    downloadService.outputDir = outputDir;
+    jobQueue.concurrency = 0;
+    jobIds = [];
+  });
+
+  afterEach(async () => {
+    for (const jobId of jobIds) {
+      await downloadService.cancelJob(jobId);
+      jobStore.remove(jobId);
+    }
+    jobQueue.concurrency = concurrency;
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  test('completes a download from a finished one of the same video', async () => {
+    const source = start('https://www.youtube.com/watch?v=hit&list=PL1');
+    complete(source, 'video');
+    await flush();
+
+    const jobId = start('https://www.youtube.com/watch?v=hit');
+    const job = jobStore.get(jobId);
+
+    expect(job).toMatchObject({ status: 'completed', cacheHit: 'file', cacheSourceJobId: source, title: 'Cached video', fileSize: 5 });
+    expect(fs.readFileSync(job.outputFile, 'utf8')).toBe('video');
+    expect(job.outputFile).toContain(jobId);
+    expect(jobQueue.getPosition(jobId)).toBeNull();
+  });
+
+  test('waits for a download of the same video that is in progress', async () => {
+    const source = start('https://www.youtube.com/watch?v=inflight');
+    const jobId = start('https://www.youtube.com/watch?v=inflight');
+
+    expect(jobStore.get(jobId)).toMatchObject({ status: 'queued', phase: 'waiting_for_duplicate' });
+    expect(jobQueue.getPosition(jobId)).toBeNull();
+
+    complete(source, 'video');
+    await flush();
+
+    expect(jobStore.get(jobId)).toMatchObject({ status: 'completed', cacheHit: 'in_flight', cacheSourceJobId: source });
+  });
+
+  test('downloads itself when the cached file is over its size limit', async () => {
+    const source = start('https://www.youtube.com/watch?v=toolarge');
+    complete(source, 'a large video');
+    await flush();
+
+    const jobId = start('https://www.youtube.com/watch?v=toolarge', { maxFileSize: 5 });
+
+    expect(jobStore.get(jobId)).toMatchObject({ status: 'queued' });
+    expect(jobStore.get(jobId).cacheHit).toBeUndefined();
+    expect(jobQueue.getPosition(jobId)).not.toBeNull();
+  });
+});
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const YTDlpWrap = require('yt-dlp-wrap').default;
+
+// Loading the services must not start their hourly cleanup timers or create output directories
+jest.useFakeTimers();
+jest.spyOn(fs, 'mkdirSync').mockImplementation(() => {});
+
+const jobStore = require('../services/jobStore');
+const jobQueue = require('../services/jobQueue');
+const downloadService = require('../services/downloadService');
+
+fs.mkdirSync.mockRestore();
+
+describe('downloadService.cancelJob', () => {
+  let outputDir;
+
+  const partFile = jobId => path.join(outputDir, `${jobId}-1700000000000.mp4.part`);
+
+  beforeEach(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'downloads-'));
+    downloadService.outputDir = outputDir;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  test('drops a queued job from the queue and removes its files', async () => {
+    const { concurrency } = jobQueue;
+    jobQueue.concurrency = 0;
+
+    try {
+      const jobId = downloadService.startDownload({
+        url: 'https://www.youtube.com/watch?v=queued', format: 'mp4', quality: '720p', owner: 'ip:203.0.113.7', licenseType: 'FREE'
+      });
+      // Left over from an attempt before a transient failure
+      fs.writeFileSync(partFile(jobId), 'partial');
+
+      const result = await downloadService.cancelJob(jobId);
+
+      expect(result).toMatchObject({ cancelled: true, job: { status: 'cancelled' } });
+      expect(jobQueue.getPosition(jobId)).toBeNull();
+      expect(fs.existsSync(partFile(jobId))).toBe(false);
+    } finally {
+      jobQueue.concurrency = concurrency;
+    }
+  });
+
+  test('stops a running download and removes its files once yt-dlp has exited', async () => {
+    const jobId = 'running-job';
+    const ytDlp = new EventEmitter();
+    const abort = jest.fn();
+
+    jest.spyOn(YTDlpWrap.prototype, 'exec').mockImplementation((args, options, signal) => {
+      signal.addEventListener('abort', abort);
+      return ytDlp;
+    });
+    jobStore.create(jobId, { type: 'download', status: 'downloading', progress: 0 });
+
+    const running = downloadService.runYtDlp(jobId, [], 1);
+    fs.writeFileSync(partFile(jobId), 'partial');
+
+    await downloadService.cancelJob(jobId);
+
+    expect(abort).toHaveBeenCalled();
+    expect(jobStore.get(jobId).status).toBe('cancelled');
+
+    // yt-dlp writes until it is gone
+    fs.writeFileSync(partFile(jobId), 'partial and more');
+    ytDlp.emit('close', null);
+    await running;
+
+    expect(fs.existsSync(partFile(jobId))).toBe(false);
+    expect(downloadService.activeDownloads.has(jobId)).toBe(false);
+
+    jobStore.remove(jobId);
+  });
+});
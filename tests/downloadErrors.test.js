@@ -0,0 +1,59 @@
+const { classifyDownloadError } = require('../services/downloadErrors');
+
+describe('classifyDownloadError', () => {
+  test.each([
+    ['ERROR: [youtube] abc: Video unavailable. The uploader has not made this video available in your country', 'GEO_RESTRICTED', false],
+    ['ERROR: [facebook] 123: This video is not available in your country', 'GEO_RESTRICTED', false],
+    ['ERROR: [vimeo] 123: This video is geo-restricted', 'GEO_RESTRICTED', false],
+    ['ERROR: [youtube] abc: Private video. Sign in if you\'ve been granted access to this video', 'VIDEO_UNAVAILABLE', false],
+    ['ERROR: [youtube] abc: Video unavailable', 'VIDEO_UNAVAILABLE', false],
+    ['ERROR: [youtube] abc: This video has been removed by the uploader', 'VIDEO_UNAVAILABLE', false],
+    ['ERROR: [youtube] abc: Sign in to confirm your age. This video may be inappropriate for some users.', 'VIDEO_UNAVAILABLE', false],
+    ['ERROR: [instagram] abc: Requested content is not available, login required', 'VIDEO_UNAVAILABLE', false],
+    ['ERROR: unable to download video data: HTTP Error 404: Not Found', 'VIDEO_UNAVAILABLE', false],
+    ['ERROR: [youtube] abc: Requested format is not available. Use --list-formats for a list of available formats', 'UNSUPPORTED_FORMAT', false],
+    ['ERROR: [twitter] 123: No video formats found!', 'UNSUPPORTED_FORMAT', false],
+    ['[download] File is larger than max-filesize (999999999 bytes > 524288000 bytes). Aborting.', 'FILE_TOO_LARGE', false],
+    ['Selected format is above the maximum quality (1080p > 720p)', 'QUALITY_NOT_ALLOWED', false],
+    ['ERROR: Unsupported URL: https://example.com/video', 'UNSUPPORTED_URL', false],
+    ['ERROR: unable to download video data: HTTP Error 429: Too Many Requests', 'RATE_LIMITED', true],
+    ['ERROR: [tiktok] 123: Rate-limit reached, try again later', 'RATE_LIMITED', true],
+    ['ERROR: [youtube] abc: Unable to download webpage: The read operation timed out', 'NETWORK_ERROR', true],
+    ['ERROR: [youtube] abc: Unable to download webpage: <urlopen error [Errno -3] Temporary failure in name resolution>', 'NETWORK_ERROR', true],
+    ['ERROR: [download] Got error: [Errno 104] Connection reset by peer', 'NETWORK_ERROR', true],
+    ['ERROR: unable to download video data: HTTP Error 503: Service Unavailable', 'NETWORK_ERROR', true],
+    ['ERROR: [download] Got error: IncompleteRead(1024 bytes read, 2048 more expected)', 'NETWORK_ERROR', true],
+    ['ERROR: Postprocessing: Conversion failed!', 'DOWNLOAD_FAILED', false],
+    ['', 'DOWNLOAD_FAILED', false]
+  ])('%s is %s', (message, errorCode, retryable) => {
+    const result = classifyDownloadError(new Error(message));
+
+    expect(result.errorCode).toBe(errorCode);
+    expect(result.retryable).toBe(retryable);
+    expect(typeof result.message).toBe('string');
+  });
+
+  test('retryable classes come with a backoff delay', () => {
+    expect(classifyDownloadError(new Error('HTTP Error 429')).baseDelay).toBe(30 * 1000);
+    expect(classifyDownloadError(new Error('Connection refused')).baseDelay).toBe(5 * 1000);
+    expect(classifyDownloadError(new Error('Video unavailable')).baseDelay).toBeUndefined();
+  });
+
+  test('a specific cause wins over a network error in the same output', () => {
+    const output = 'WARNING: Unable to download webpage: timed out, retrying\nERROR: [youtube] abc: Video unavailable';
+
+    expect(classifyDownloadError(new Error(output)).errorCode).toBe('VIDEO_UNAVAILABLE');
+  });
+
+  test('the detail is the last ERROR line of the output', () => {
+    const output = '[youtube] abc: Downloading webpage\nERROR: first\nWARNING: something\nERROR: [youtube] abc: Video unavailable\n';
+
+    expect(classifyDownloadError(new Error(output)).detail).toBe('ERROR: [youtube] abc: Video unavailable');
+  });
+
+  test('accepts plain strings and keeps output without ERROR lines as the detail', () => {
+    const result = classifyDownloadError('  spawn yt-dlp ENOENT ');
+
+    expect(result).toEqual({ errorCode: 'DOWNLOAD_FAILED', message: 'The download failed.', retryable: false, detail: 'spawn yt-dlp ENOENT' });
+  });
+});
@@ -0,0 +1,54 @@
+const fs = require('fs');
+const YTDlpWrap = require('yt-dlp-wrap').default;
+
+// Loading the services must not start their hourly cleanup timers or create output directories
+jest.useFakeTimers();
+jest.spyOn(fs, 'mkdirSync').mockImplementation(() => {});
+
+const downloadService = require('../services/downloadService');
+
+fs.mkdirSync.mockRestore();
+
+describe('downloadService.expandPlaylist', () => {
+  const url = 'https://www.youtube.com/playlist?list=PL1';
+  let execPromise;
+
+  // yt-dlp's flat listing of a playlist with count entries
+  const listing = count => JSON.stringify({
+    title: 'Playlist',
+    playlist_count: 40,
+    entries: Array.from({ length: count }, (entry, i) => ({ url: `https://www.youtube.com/watch?v=video${i + 1}`, title: `Video ${i + 1}` }))
+  });
+
+  const playlistItems = () => {
+    const args = execPromise.mock.calls[0][0];
+    return args[args.indexOf('--playlist-items') + 1];
+  };
+
+  beforeEach(() => {
+    execPromise = jest.spyOn(YTDlpWrap.prototype, 'execPromise').mockResolvedValue(listing(6));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('lists one entry more than allowed to tell whether the list was cut off', async () => {
+    const playlist = await downloadService.expandPlaylist(url, { maxItems: 5 });
+
+    expect(playlistItems()).toBe('1:6');
+    expect(playlist).toMatchObject({ title: 'Playlist', total: 40, truncated: true });
+    expect(playlist.entries).toHaveLength(5);
+  });
+
+  test.each([
+    ['1-1000', '1-6'],
+    ['3,8-20', '3,8-12'],
+    ['2-3,7', '2-3,7'],
+    ['5-1,4', '4']
+  ])('limits the items %s to %s', async (items, limited) => {
+    await downloadService.expandPlaylist(url, { items, maxItems: 5 });
+
+    expect(playlistItems()).toBe(limited);
+  });
+});
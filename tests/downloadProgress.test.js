@@ -0,0 +1,99 @@
+const fs = require('fs');
+
+// Loading the services must not start their hourly cleanup timers or create output directories
+jest.useFakeTimers();
+jest.spyOn(fs, 'mkdirSync').mockImplementation(() => {});
+
+const jobStore = require('../services/jobStore');
+const downloadService = require('../services/downloadService');
+
+fs.mkdirSync.mockRestore();
+
+// A line as printed through PROGRESS_TEMPLATE: status, downloaded, total, total estimate,
+// speed, eta, fragment index, fragment count, duration and title
+const line = (...fields) => fields.join(' ');
+
+describe('downloadService.handleProgressLine', () => {
+  const jobId = 'progress-job';
+
+  beforeEach(() => {
+    jobStore.create(jobId, { type: 'download', status: 'downloading', title: 'Queued title', duration: null, progress: 0 });
+  });
+
+  afterEach(() => {
+    jobStore.remove(jobId);
+  });
+
+  test('reports bytes, speed, eta, title and duration', () => {
+    downloadService.handleProgressLine(jobId, line('downloading', 1000, 4000, 'NA', 500.5, 6, 'NA', 'NA', 61.5, 'My: Video title'), 1, 1);
+
+    expect(jobStore.get(jobId)).toMatchObject({
+      phase: 'downloading',
+      title: 'My: Video title',
+      duration: 61.5,
+      progress: 25,
+      transfer: {
+        downloadedBytes: 1000,
+        totalBytes: 4000,
+        totalBytesEstimated: false,
+        speed: 500.5,
+        eta: 6,
+        fragmentIndex: null,
+        fragmentCount: null
+      }
+    });
+  });
+
+  test('falls back to the estimated total and keeps the known title and duration', () => {
+    jobStore.update(jobId, { duration: 30 });
+    downloadService.handleProgressLine(jobId, line('downloading', 500, 'NA', 2000, 'NA', 'NA', 'NA', 'NA', 'NA', 'NA'), 1, 1);
+
+    expect(jobStore.get(jobId)).toMatchObject({
+      title: 'Queued title',
+      duration: 30,
+      progress: 25,
+      transfer: { downloadedBytes: 500, totalBytes: 2000, totalBytesEstimated: true, speed: null, eta: null }
+    });
+  });
+
+  test('uses fragments when no size is known', () => {
+    downloadService.handleProgressLine(jobId, line('downloading', 123456, 'NA', 'NA', 1000, 'NA', 3, 12, 'NA', 'Live'), 1, 1);
+
+    expect(jobStore.get(jobId)).toMatchObject({
+      progress: 25,
+      transfer: { totalBytes: null, fragmentIndex: 3, fragmentCount: 12 }
+    });
+  });
+
+  test('reports 0% when nothing is known yet', () => {
+    downloadService.handleProgressLine(jobId, line('downloading', 'NA', 'NA', 'NA', 'NA', 'NA', 'NA', 'NA', 'NA', 'NA'), 1, 1);
+
+    expect(jobStore.get(jobId).progress).toBe(0);
+  });
+
+  test.each([
+    // [stream, streams, status, downloaded, total, progress]
+    [1, 2, 'downloading', 2000, 4000, 25],
+    [1, 2, 'finished', 4000, 4000, 50],
+    [2, 2, 'downloading', 1000, 4000, 62],
+    [2, 2, 'finished', 4000, 4000, 99],
+    [1, 1, 'finished', 4000, 4000, 99]
+  ])('stream %i of %i, %s %i of %i bytes is %i%%', (streamIndex, streams, status, downloaded, total, progress) => {
+    downloadService.handleProgressLine(jobId, line(status, downloaded, total, 'NA', 'NA', 'NA', 'NA', 'NA', 10, 'Title'), streamIndex, streams);
+
+    expect(jobStore.get(jobId).progress).toBe(progress);
+  });
+
+  test('does not go past the total when yt-dlp reports more than it announced', () => {
+    downloadService.handleProgressLine(jobId, line('downloading', 5000, 'NA', 4000, 'NA', 'NA', 'NA', 'NA', 'NA', 'NA'), 1, 2);
+
+    expect(jobStore.get(jobId).progress).toBe(50);
+  });
+
+  test.each(['error', 'started', 'NA'])('ignores lines with status %s', (status) => {
+    const before = jobStore.get(jobId);
+    downloadService.handleProgressLine(jobId, line(status, 1000, 4000, 'NA', 'NA', 'NA', 'NA', 'NA', 'NA', 'Title'), 1, 1);
+
+    expect(jobStore.get(jobId)).toBe(before);
+  });
+});
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Loading the services must not start their hourly cleanup timers or create output directories
+jest.useFakeTimers();
+jest.spyOn(fs, 'mkdirSync').mockImplementation(() => {});
+
+const downloadService = require('../services/downloadService');
+
+fs.mkdirSync.mockRestore();
+
+describe('downloadService.recoverJob', () => {
+  const job = { id: 'job-1', createdAt: 1700000000000, type: 'download', status: 'downloading', url: 'https://www.youtube.com/watch?v=abc' };
+  const base = `${job.id}-${job.createdAt}`;
+  let outputDir;
+
+  const write = (name, content = 'data') => fs.writeFileSync(path.join(outputDir, name), content);
+  const writeMarker = (info) => write(`${base}.meta.json`, `${JSON.stringify(info)}\n`);
+
+  beforeEach(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'downloads-'));
+    downloadService.outputDir = outputDir;
+  });
+
+  afterEach(() => {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  test('completes a job whose final file is named by the completion marker', () => {
+    write(`${base}.mp4`, 'merged video');
+    writeMarker({ id: 'abc', title: 'Title', uploader: 'Someone', upload_date: '20240131', filepath: path.join(outputDir, `${base}.mp4`) });
+
+    expect(downloadService.recoverJob(job)).toMatchObject({
+      status: 'completed',
+      outputFile: path.join(outputDir, `${base}.mp4`),
+      fileSize: 'merged video'.length,
+      title: 'Title',
+      uploader: 'Someone',
+      progress: 100
+    });
+    expect(fs.existsSync(path.join(outputDir, `${base}.meta.json`))).toBe(false);
+  });
+
+  test('restarts a download that only left unmerged streams', () => {
+    write(`${base}.f137.mp4`);
+    write(`${base}.f140.m4a`);
+
+    expect(downloadService.recoverJob(job)).toEqual({ resumable: true });
+  });
+
+  test('restarts a download that was waiting for its clip to be cut', () => {
+    const clipJob = { ...job, url: 'https://www.instagram.com/reel/abc/', clip: { start: 5, end: 10, mode: 'fast' } };
+    write(`${base}.mp4`, 'uncut');
+    writeMarker({ id: 'abc', filepath: path.join(outputDir, `${base}.mp4`) });
+
+    expect(downloadService.recoverJob(clipJob)).toEqual({ resumable: true });
+  });
+
+  test('ignores a marker naming a file that is missing or belongs to something else', () => {
+    writeMarker({ id: 'abc', filepath: path.join(outputDir, `${base}.mp4`) });
+    expect(downloadService.recoverJob(job)).toEqual({ resumable: true });
+
+    write('other-job.mp4');
+    writeMarker({ id: 'abc', filepath: path.join(outputDir, 'other-job.mp4') });
+    expect(downloadService.recoverJob(job)).toEqual({ resumable: true });
+  });
+});
@@ -0,0 +1,85 @@
+const express = require('express');
+const request = require('supertest');
+
+// No Firestore lookups, even where Firebase is configured
+jest.mock('../config/firebase', () => ({ ...jest.requireActual('../config/firebase'), db: null }));
+
+const { canAccessJob, authorizeJob, identifySession, hashSessionToken } = require('../middleware/auth');
+
+const ownerToken = 'a'.repeat(48);
+const otherToken = 'b'.repeat(48);
+
+const owner = { id: 'user-1', licenseType: 'PRO' };
+const otherUser = { id: 'user-2', licenseType: 'PRO' };
+const admin = { id: 'admin-1', licenseType: 'ADMIN' };
+
+const userJob = { id: 'user-job', userId: owner.id };
+const sessionJob = { id: 'session-job', sessionId: hashSessionToken(ownerToken) };
+const unownedJob = { id: 'unowned-job' };
+const jobs = new Map([userJob, sessionJob, unownedJob].map(job => [job.id, job]));
+
+describe('canAccessJob', () => {
+  test.each([
+    ['the owner', { user: owner }, 'user-job', true],
+    ['another user', { user: otherUser }, 'user-job', false],
+    ['an anonymous session', { sessionId: hashSessionToken(ownerToken) }, 'user-job', false],
+    ['an admin', { user: admin }, 'user-job', true],
+    ['the owning session', { sessionId: hashSessionToken(ownerToken) }, 'session-job', true],
+    ['another session', { sessionId: hashSessionToken(otherToken) }, 'session-job', false],
+    ['a request without a session', {}, 'session-job', false],
+    ['a user', { user: owner }, 'session-job', false],
+    ['an admin', { user: admin }, 'session-job', true],
+    ['a user', { user: owner }, 'unowned-job', false],
+    ['a session', { sessionId: hashSessionToken(ownerToken) }, 'unowned-job', false],
+    ['an admin', { user: admin }, 'unowned-job', true]
+  ])('%s on %s: %s', (who, requester, jobId, allowed) => {
+    expect(canAccessJob(requester, jobs.get(jobId))).toBe(allowed);
+  });
+});
+
+describe('authorizeJob', () => {
+  let user = null;
+
+  const app = express();
+  app.get('/jobs/:jobId', (req, res, next) => {
+    req.user = user;
+    next();
+  }, identifySession, authorizeJob(jobId => jobs.get(jobId)), (req, res) => {
+    res.json({ success: true, jobId: req.job.id });
+  });
+
+  beforeEach(() => {
+    user = null;
+  });
+
+  test('hands the job to the owner', async () => {
+    user = owner;
+    const res = await request(app).get('/jobs/user-job').expect(200);
+
+    expect(res.body.jobId).toBe('user-job');
+  });
+
+  test('hands the job to the owning anonymous session', async () => {
+    await request(app).get('/jobs/session-job').set('X-Session-Token', ownerToken).expect(200);
+  });
+
+  test('lets admins see every job', async () => {
+    user = admin;
+    await request(app).get('/jobs/unowned-job').expect(200);
+  });
+
+  test.each([
+    ['another user', otherUser, null, 'user-job'],
+    ['another session', null, otherToken, 'session-job'],
+    ['a user on an unowned job', owner, null, 'unowned-job'],
+    ['a session on an unowned job', null, ownerToken, 'unowned-job'],
+    ['an unknown job', owner, null, 'missing-job']
+  ])('answers %s with 404', async (who, requester, token, jobId) => {
+    user = requester;
+    const req = request(app).get(`/jobs/${jobId}`);
+    if (token) req.set('X-Session-Token', token);
+
+    const res = await req.expect(404);
+    expect(res.body).toEqual({ success: false, error: 'Job not found' });
+  });
+});
@@ -0,0 +1,158 @@
+const jobQueue = require('../services/jobQueue');
+
+const JobQueue = jobQueue.constructor;
+
+// Let finished jobs hand their slots on
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+// A queue entry that records when it starts and runs until finish() is called
+function createJob(jobId, owner, licenseType, started) {
+  let finish;
+  const finished = new Promise(resolve => { finish = resolve; });
+
+  return {
+    entry: {
+      jobId,
+      owner,
+      licenseType,
+      run: () => {
+        started.push(jobId);
+        return finished;
+      }
+    },
+    finish: (result = jobId) => finish(result)
+  };
+}
+
+describe('JobQueue', () => {
+  let started;
+
+  beforeEach(() => {
+    started = [];
+  });
+
+  test('starts higher license priorities first, then in arrival order', async () => {
+    const queue = new JobQueue(1);
+    const blocker = createJob('blocker', 'owner-0', 'FREE', started);
+    queue.enqueue(blocker.entry);
+
+    const jobs = [
+      createJob('free-1', 'owner-1', 'FREE', started),
+      createJob('pro', 'owner-2', 'PRO', started),
+      createJob('free-2', 'owner-3', 'FREE', started),
+      createJob('basic', 'owner-4', 'BASIC', started),
+      createJob('unlimited', 'owner-5', 'UNLIMITED', started)
+    ];
+    jobs.forEach(job => queue.enqueue(job.entry));
+    await flush();
+
+    expect(queue.getPosition('unlimited')).toBe(1);
+    expect(queue.getPosition('free-2')).toBe(5);
+
+    blocker.finish();
+    for (const job of jobs) {
+      await flush();
+      job.finish();
+    }
+    await flush();
+
+    expect(started).toEqual(['blocker', 'unlimited', 'pro', 'basic', 'free-1', 'free-2']);
+  });
+
+  test('unknown license types queue like the free tier', () => {
+    const queue = new JobQueue(1);
+    const blocker = createJob('blocker', 'owner-0', 'FREE', started);
+    queue.enqueue(blocker.entry);
+
+    queue.enqueue(createJob('unknown', 'owner-1', 'NO_SUCH_LICENSE', started).entry);
+    queue.enqueue(createJob('basic', 'owner-2', 'BASIC', started).entry);
+
+    expect(queue.getPosition('basic')).toBe(1);
+    expect(queue.getPosition('unknown')).toBe(2);
+  });
+
+  test('holds back jobs over the owner\'s concurrent_jobs limit while others run', async () => {
+    const queue = new JobQueue(3);
+    const first = createJob('free-1', 'owner-a', 'FREE', started);
+    const second = createJob('free-2', 'owner-a', 'FREE', started);
+    const other = createJob('other', 'owner-b', 'FREE', started);
+
+    [first, second, other].forEach(job => queue.enqueue(job.entry));
+    await flush();
+
+    // FREE allows one running job per owner, so the second one waits despite free slots
+    expect(started).toEqual(['free-1', 'other']);
+    expect(queue.getStats()).toEqual({ concurrency: 3, running: 2, pending: 1 });
+    expect(queue.getPosition('free-2')).toBe(1);
+
+    first.finish();
+    await flush();
+    await flush();
+
+    expect(started).toEqual(['free-1', 'other', 'free-2']);
+  });
+
+  test('does not count jobs held back by their owner\'s limit in the queue position', async () => {
+    const queue = new JobQueue(2);
+    const running = createJob('running', 'owner-a', 'FREE', started);
+    queue.enqueue(running.entry);
+    queue.enqueue(createJob('blocker', 'owner-b', 'FREE', started).entry);
+    await flush();
+
+    queue.enqueue(createJob('held-1', 'owner-a', 'FREE', started).entry);
+    queue.enqueue(createJob('waiting', 'owner-c', 'FREE', started).entry);
+    queue.enqueue(createJob('held-2', 'owner-a', 'FREE', started).entry);
+
+    // held-1 waits for owner-a's running job, so only the free slot decides when waiting starts
+    expect(queue.getPosition('waiting')).toBe(1);
+    // held-2 still comes after its owner's held-1
+    expect(queue.getPosition('held-2')).toBe(3);
+  });
+
+  test('lets an owner run as many jobs as the license allows', async () => {
+    const queue = new JobQueue(5);
+    const jobs = ['pro-1', 'pro-2', 'pro-3', 'pro-4'].map(jobId => createJob(jobId, 'owner-a', 'PRO', started));
+
+    jobs.forEach(job => queue.enqueue(job.entry));
+    await flush();
+
+    expect(started).toEqual(['pro-1', 'pro-2', 'pro-3']);
+    expect(queue.getPosition('pro-4')).toBe(1);
+  });
+
+  test('never runs more jobs than the global concurrency', async () => {
+    const queue = new JobQueue(2);
+    ['a', 'b', 'c'].forEach(owner => queue.enqueue(createJob(`job-${owner}`, owner, 'UNLIMITED', started).entry));
+    await flush();
+
+    expect(started).toEqual(['job-a', 'job-b']);
+    expect(queue.getStats()).toEqual({ concurrency: 2, running: 2, pending: 1 });
+  });
+
+  test('resolves with the job\'s result and frees the slot when a job fails', async () => {
+    const queue = new JobQueue(1);
+    const failing = createJob('failing', 'owner-a', 'FREE', started);
+    const next = createJob('next', 'owner-b', 'FREE', started);
+
+    const failed = queue.enqueue({ ...failing.entry, run: () => Promise.reject(new Error('boom')) });
+    const result = queue.enqueue(next.entry);
+
+    await expect(failed).rejects.toThrow('boom');
+    await flush();
+    next.finish('done');
+
+    await expect(result).resolves.toBe('done');
+  });
+
+  test('remove drops a waiting job and resolves it with null', async () => {
+    const queue = new JobQueue(1);
+    queue.enqueue(createJob('running', 'owner-a', 'FREE', started).entry);
+    const waiting = queue.enqueue(createJob('waiting', 'owner-b', 'FREE', started).entry);
+    await flush();
+
+    expect(queue.remove('running')).toBe(false);
+    expect(queue.remove('waiting')).toBe(true);
+    await expect(waiting).resolves.toBeNull();
+    expect(queue.getPosition('waiting')).toBeNull();
+  });
+});
@@ -0,0 +1,57 @@
+const platformRegistry = require('../services/platformRegistry');
+
+describe('platformRegistry', () => {
+  describe('find', () => {
+    test.each([
+      ['https://youtu.be/dQw4w9WgXcQ', 'youtube'],
+      ['https://www.youtube.com/shorts/abc123', 'youtube'],
+      ['https://m.youtube.com/watch?v=abc123', 'youtube'],
+      ['https://music.youtube.com/watch?v=abc123', 'youtube'],
+      ['https://x.com/user/status/123', 'twitter'],
+      ['https://mobile.twitter.com/user/status/123/photo/1', 'twitter'],
+      ['https://www.tiktok.com/@user/video/123?lang=en', 'tiktok'],
+      ['https://vm.tiktok.com/ZMabc/', 'tiktok'],
+      ['https://vimeo.com/123', 'vimeo']
+    ])('%s belongs to %s', (url, platformId) => {
+      expect(platformRegistry.find(url).id).toBe(platformId);
+    });
+
+    test.each([
+      'https://example.com/watch?v=abc123',
+      'https://youtube.com.example.com/watch?v=abc123',
+      'https://x.com/user',
+      '--exec=touch /tmp/x',
+      undefined
+    ])('%s is not accepted', (url) => {
+      expect(platformRegistry.find(url)).toBeNull();
+    });
+  });
+
+  describe('canonicalize', () => {
+    test.each([
+      ['https://youtu.be/dQw4w9WgXcQ?si=share', 'https://www.youtube.com/watch?v=dQw4w9WgXcQ'],
+      ['https://www.youtube.com/shorts/abc123?feature=share', 'https://www.youtube.com/watch?v=abc123'],
+      ['https://m.youtube.com/watch?v=abc123&t=10', 'https://www.youtube.com/watch?v=abc123'],
+      ['https://music.youtube.com/watch?v=abc123&list=PL1', 'https://www.youtube.com/watch?v=abc123&list=PL1'],
+      ['https://youtube.com/playlist?list=PL1', 'https://www.youtube.com/playlist?list=PL1'],
+      ['https://x.com/user/status/123?s=20', 'https://x.com/user/status/123'],
+      ['https://twitter.com/user/status/123/video/1', 'https://x.com/user/status/123'],
+      ['https://www.tiktok.com/@user/video/123?lang=en&is_from_webapp=1', 'https://www.tiktok.com/@user/video/123'],
+      ['https://m.tiktok.com/@user/video/123?lang=en', 'https://www.tiktok.com/@user/video/123'],
+      ['https://example.com/video?id=1', 'https://example.com/video?id=1']
+    ])('%s becomes %s', (url, canonical) => {
+      expect(platformRegistry.canonicalize(url)).toBe(canonical);
+    });
+  });
+
+  describe('getVideoUrl', () => {
+    test.each([
+      ['https://www.youtube.com/watch?v=abc123&list=PL1&index=3', 'https://www.youtube.com/watch?v=abc123'],
+      ['https://www.youtube.com/playlist?list=PL1', 'https://www.youtube.com/playlist?list=PL1'],
+      ['https://x.com/user/status/123', 'https://x.com/user/status/123'],
+      ['https://example.com/video?list=1', 'https://example.com/video?list=1']
+    ])('%s is the video %s', (url, videoUrl) => {
+      expect(platformRegistry.getVideoUrl(url)).toBe(videoUrl);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const ffmpeg = require('fluent-ffmpeg');
+
+// Loading the services must not start their hourly cleanup timers or create output directories
+jest.useFakeTimers();
+jest.spyOn(fs, 'mkdirSync').mockImplementation(() => {});
+
+const jobStore = require('../services/jobStore');
+const ffmpegService = require('../services/ffmpegService');
+const { validateStreamRequest } = require('../middleware/validation');
+
+fs.mkdirSync.mockRestore();
+jest.useRealTimers();
+
+describe('stream requests', () => {
+  const app = express();
+  app.use(express.json());
+  app.post('/stream', validateStreamRequest, (req, res) => res.json(req.body));
+
+  test('fills in the defaults', async () => {
+    const response = await request(app).post('/stream').send({}).expect(200);
+
+    expect(response.body).toEqual({ dash: false, segmentDuration: 6 });
+  });
+
+  test.each([
+    ['segments shorter than 2 seconds', { segmentDuration: 1 }],
+    ['a jobId that is not a UUID', { jobId: 'abc' }]
+  ])('rejects %s', async (name, body) => {
+    const response = await request(app).post('/stream').send(body).expect(400);
+
+    expect(response.body).toMatchObject({ success: false, error: 'Validation failed' });
+  });
+});
+
+describe('ffmpegService.getStreamLadder', () => {
+  const qualities = ladder => ladder.map(rendition => rendition.quality);
+
+  test('stops at the license quality', () => {
+    expect(qualities(ffmpegService.getStreamLadder(1080, 'FREE'))).toEqual(['360p', '480p', '720p']);
+  });
+
+  test('stops at the input height', () => {
+    expect(qualities(ffmpegService.getStreamLadder(720, 'ADMIN'))).toEqual(['360p', '480p', '720p']);
+    expect(qualities(ffmpegService.getStreamLadder(2160, 'ADMIN'))).toHaveLength(6);
+  });
+
+  test('keeps the height of inputs below the lowest rendition', () => {
+    expect(ffmpegService.getStreamLadder(241, 'FREE')).toEqual([expect.objectContaining({ quality: '240p', height: 240 })]);
+  });
+});
+
+describe('ffmpegService.createStream', () => {
+  let outputDir;
+  let commands;
+
+  const create = (jobId, options) => ffmpegService.createStream({
+    inputFile: path.join(outputDir, 'input.mp4'),
+    title: 'input.mp4',
+    options: { dash: false, segmentDuration: 6, ...options },
+    jobId,
+    owner: 'ip:203.0.113.7',
+    licenseType: 'FREE'
+  });
+
+  beforeEach(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'output-'));
+    ffmpegService.outputDir = outputDir;
+    commands = [];
+
+    jest.spyOn(ffmpegService, 'getFileInfo').mockResolvedValue({
+      duration: 60,
+      streams: [{ type: 'video', width: 1920, height: 1080 }, { type: 'audio' }]
+    });
+    // ffmpeg writes the playlists (and the DASH manifest) next to its output
+    jest.spyOn(ffmpeg.prototype, 'run').mockImplementation(function () {
+      const dir = path.dirname(this._outputs[this._outputs.length - 1].target);
+      commands.push(this._getArguments());
+      fs.writeFileSync(path.join(dir, 'master.m3u8'), '#EXTM3U\n');
+      fs.writeFileSync(path.join(dir, 'manifest.mpd'), '<MPD/>');
+      setImmediate(() => this.emit('end'));
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  test('packages an HLS ladder up to the license quality', async () => {
+    await create('hls-job');
+
+    expect(jobStore.get('hls-job')).toMatchObject({
+      status: 'completed',
+      format: 'hls',
+      files: ['master.m3u8'],
+      renditions: ['360p', '480p', '720p'],
+      quality: '720p'
+    });
+    expect(commands[0]).toEqual(expect.arrayContaining(['-hls_time', '6', '-var_stream_map', 'v:0,a:0 v:1,a:1 v:2,a:2']));
+  });
+
+  test('keeps a two rendition stream map as one argument', async () => {
+    ffmpegService.getFileInfo.mockResolvedValue({ duration: 60, streams: [{ type: 'video', width: 854, height: 480 }, { type: 'audio' }] });
+
+    await create('two-rendition-job');
+
+    expect(commands[0]).toEqual(expect.arrayContaining(['-var_stream_map', 'v:0,a:0 v:1,a:1']));
+  });
+
+  test('packages CMAF segments for DASH and HLS', async () => {
+    await create('dash-job', { dash: true, segmentDuration: 4 });
+
+    expect(jobStore.get('dash-job')).toMatchObject({ status: 'completed', format: 'dash', files: ['master.m3u8', 'manifest.mpd'] });
+    expect(commands[0]).toEqual(expect.arrayContaining(['-f', 'dash', '-seg_duration', '4', '-adaptation_sets', 'id=0,streams=v id=1,streams=a']));
+  });
+
+  test('fails and removes the directory for an input without video', async () => {
+    ffmpegService.getFileInfo.mockResolvedValue({ duration: 60, streams: [{ type: 'audio' }] });
+
+    await expect(create('audio-job')).rejects.toThrow('Input has no video stream');
+
+    expect(commands).toEqual([]);
+    expect(jobStore.get('audio-job').status).toBe('failed');
+    expect(fs.existsSync(path.join(outputDir, 'audio-job'))).toBe(false);
+  });
+});
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const ffmpeg = require('fluent-ffmpeg');
+
+// Loading the services must not start their hourly cleanup timers or create output directories
+jest.useFakeTimers();
+jest.spyOn(fs, 'mkdirSync').mockImplementation(() => {});
+
+const jobStore = require('../services/jobStore');
+const ffmpegService = require('../services/ffmpegService');
+const { validateThumbnailRequest } = require('../middleware/validation');
+
+fs.mkdirSync.mockRestore();
+jest.useRealTimers();
+
+describe('thumbnail requests', () => {
+  const app = express();
+  app.use(express.json());
+  app.post('/thumbnails', validateThumbnailRequest, (req, res) => res.json(req.body));
+
+  test.each([
+    ['poster', { mode: 'poster', format: 'jpg', width: 1280, at: 'best' }],
+    ['thumbnails', { mode: 'thumbnails', format: 'jpg', width: 320, count: 10 }],
+    ['sprite', { mode: 'sprite', format: 'jpg', width: 160, interval: 10, columns: 10 }]
+  ])('fills in the %s defaults', async (mode, expected) => {
+    const response = await request(app).post('/thumbnails').send({ mode }).expect(200);
+
+    expect(response.body).toEqual(expected);
+  });
+
+  test('accepts a timestamp for the poster frame', async () => {
+    const response = await request(app).post('/thumbnails').send({ at: '01:30' }).expect(200);
+
+    expect(response.body).toMatchObject({ mode: 'poster', at: 90 });
+  });
+
+  test.each([
+    ['options of another mode', { mode: 'sprite', at: 'best' }],
+    ['more than 50 thumbnails', { mode: 'thumbnails', count: 51 }],
+    ['an unknown image format', { format: 'gif' }]
+  ])('rejects %s', async (name, body) => {
+    const response = await request(app).post('/thumbnails').send(body).expect(400);
+
+    expect(response.body).toMatchObject({ success: false, error: 'Validation failed' });
+  });
+});
+
+describe('ffmpegService.createThumbnails', () => {
+  let outputDir;
+  let commands;
+  let writeOutput;
+
+  const create = (jobId, mode, options) => ffmpegService.createThumbnails({
+    inputFile: path.join(outputDir, 'input.mp4'),
+    title: 'input.mp4',
+    mode,
+    options: { format: 'jpg', ...options },
+    jobId,
+    owner: 'ip:203.0.113.7',
+    licenseType: 'FREE'
+  });
+
+  beforeEach(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'output-'));
+    ffmpegService.outputDir = outputDir;
+    commands = [];
+    // Every command writes its output unless a test says otherwise
+    writeOutput = (outputFile) => fs.writeFileSync(outputFile, 'image');
+
+    jest.spyOn(ffmpegService, 'getFileInfo').mockResolvedValue({
+      duration: 25,
+      streams: [{ type: 'video', width: 640, height: 360 }]
+    });
+    jest.spyOn(ffmpeg.prototype, 'run').mockImplementation(function () {
+      commands.push(this._getArguments());
+      writeOutput(this._outputs[this._outputs.length - 1].target);
+      setImmediate(() => this.emit('end'));
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  test('renders a sprite sheet and a WebVTT track pointing at its tiles', async () => {
+    await create('sprite-job', 'sprite', { width: 160, interval: 10, columns: 10 });
+
+    const job = jobStore.get('sprite-job');
+    expect(job).toMatchObject({ status: 'completed', files: ['sprite.jpg', 'thumbnails.vtt'], width: 160, height: 90, columns: 3, rows: 1 });
+    expect(fs.readFileSync(path.join(outputDir, 'sprite-job', 'thumbnails.vtt'), 'utf8')).toBe([
+      'WEBVTT',
+      '00:00:00.000 --> 00:00:10.000\nsprite.jpg#xywh=0,0,160,90',
+      '00:00:10.000 --> 00:00:20.000\nsprite.jpg#xywh=160,0,160,90',
+      '00:00:20.000 --> 00:00:25.000\nsprite.jpg#xywh=320,0,160,90'
+    ].join('\n\n') + '\n');
+  });
+
+  test('grabs a frame a tenth into a video without scene changes for the best poster', async () => {
+    writeOutput = (outputFile) => {
+      if (commands.length === 2) fs.writeFileSync(outputFile, 'image');
+    };
+
+    await create('poster-job', 'poster', { width: 1280, at: 'best' });
+
+    expect(commands).toHaveLength(2);
+    expect(commands[1]).toEqual(expect.arrayContaining(['-ss', 2.5, '-filter:v', 'scale=1280:720']));
+    expect(jobStore.get('poster-job')).toMatchObject({ status: 'completed', files: ['poster.jpg'] });
+  });
+
+  test('does not grab the fallback poster after a cancellation', async () => {
+    writeOutput = () => ffmpegService.cancelJob('cancelled-poster-job');
+
+    expect(await create('cancelled-poster-job', 'poster', { width: 1280, at: 'best' })).toBeNull();
+
+    expect(commands).toHaveLength(1);
+    expect(jobStore.get('cancelled-poster-job').status).toBe('cancelled');
+    expect(fs.existsSync(path.join(outputDir, 'cancelled-poster-job'))).toBe(false);
+  });
+
+  test('fails and removes the directory when no frame was written', async () => {
+    writeOutput = () => {};
+
+    await expect(create('empty-job', 'poster', { width: 1280, at: 60 })).rejects.toThrow('No frame at 60s');
+
+    expect(jobStore.get('empty-job').status).toBe('failed');
+    expect(fs.existsSync(path.join(outputDir, 'empty-job'))).toBe(false);
+  });
+});
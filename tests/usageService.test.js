@@ -0,0 +1,125 @@
+const express = require('express');
+const request = require('supertest');
+
+// Counters are kept in memory even where Firebase is configured
+jest.mock('../config/firebase', () => ({ ...jest.requireActual('../config/firebase'), db: null }));
+
+const usageService = require('../services/usageService');
+const jobStore = require('../services/jobStore');
+const MemoryUsageAdapter = require('../services/adapters/memoryUsageAdapter');
+const { checkDownloadPermission, claimQuota } = require('../middleware/auth');
+
+// Let the release and settle calls started by events finish
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('usageService', () => {
+  const owner = 'ip:203.0.113.7';
+
+  beforeEach(() => {
+    usageService.adapter = new MemoryUsageAdapter();
+  });
+
+  describe('reserve', () => {
+    test('reserves units up to the daily limit', async () => {
+      const reservation = await usageService.reserve(null, owner, 5);
+
+      expect(reservation).toMatchObject({ reserved: true, count: 5, used: 0, pending: 5, dailyLimit: 5, remaining: 0 });
+    });
+
+    test('refuses a reservation that would go over the daily limit', async () => {
+      await usageService.reserve(null, owner, 3);
+      const reservation = await usageService.reserve(null, owner, 3);
+
+      expect(reservation).toMatchObject({ reserved: false, count: 0, pending: 3, remaining: 2 });
+      expect(await usageService.getUsage(null, owner)).toMatchObject({ used: 0, pending: 3 });
+    });
+
+    test('concurrent reservations cannot both pass the limit', async () => {
+      const reservations = await Promise.all([
+        usageService.reserve(null, owner, 3),
+        usageService.reserve(null, owner, 3)
+      ]);
+
+      expect(reservations.map(reservation => reservation.reserved).sort()).toEqual([false, true]);
+      expect(await usageService.getUsage(null, owner)).toMatchObject({ used: 0, pending: 3 });
+    });
+
+    test('unlimited licenses are never refused', async () => {
+      const user = { id: 'user-1', licenseType: 'UNLIMITED' };
+      const reservation = await usageService.reserve(user, owner, 1000);
+
+      expect(reservation).toMatchObject({ reserved: true, subject: 'user-1', remaining: -1 });
+    });
+  });
+
+  describe('releasing unclaimed units', () => {
+    let clientIp;
+
+    const app = express();
+    app.use(express.json());
+    app.post('/download', checkDownloadPermission, (req, res) => {
+      clientIp = req.ip;
+      // One job is created for the first URL only
+      claimQuota(req);
+      res.json({ success: true });
+    });
+
+    test('gives back the units the request did not claim when the response closes', async () => {
+      await request(app).post('/download').send({ urls: ['a', 'b', 'c'] }).expect(200);
+      await flush();
+
+      expect(await usageService.getUsage(null, `ip:${clientIp}`)).toMatchObject({ used: 0, pending: 1 });
+    });
+
+    test('releaseUnclaimed only releases once', async () => {
+      const reservation = await usageService.reserve(null, owner, 3);
+      usageService.claim(reservation);
+
+      await usageService.releaseUnclaimed(reservation);
+      await usageService.releaseUnclaimed(reservation);
+
+      expect(reservation.count).toBe(0);
+      expect(await usageService.getUsage(null, owner)).toMatchObject({ used: 0, pending: 1 });
+    });
+  });
+
+  describe('settling finished jobs', () => {
+    const createJob = async (jobId) => {
+      const reservation = await usageService.reserve(null, owner, 1);
+      return jobStore.create(jobId, { type: 'download', status: 'queued', quota: usageService.claim(reservation) });
+    };
+
+    afterEach(() => {
+      jobStore.list().forEach(job => jobStore.remove(job.id));
+    });
+
+    test('a completed job counts as used and adds its size to the monthly bandwidth', async () => {
+      await createJob('job-completed');
+      jobStore.update('job-completed', { status: 'completed', fileSize: 1234 });
+      await flush();
+
+      const usage = await usageService.getUsage(null, owner);
+      expect(usage).toMatchObject({ used: 1, pending: 0 });
+      expect(usage.bandwidth.used).toBe(1234);
+    });
+
+    test.each(['failed', 'cancelled'])('a %s job releases its unit', async (status) => {
+      await createJob(`job-${status}`);
+      jobStore.update(`job-${status}`, { status });
+      await flush();
+
+      const usage = await usageService.getUsage(null, owner);
+      expect(usage).toMatchObject({ used: 0, pending: 0 });
+      expect(usage.bandwidth.used).toBe(0);
+    });
+
+    test('a job is only settled once', async () => {
+      await createJob('job-twice');
+      jobStore.update('job-twice', { status: 'completed', fileSize: 10 });
+      jobStore.update('job-twice', { status: 'expired' });
+      await flush();
+
+      expect(await usageService.getUsage(null, owner)).toMatchObject({ used: 1, pending: 0 });
+    });
+  });
+});